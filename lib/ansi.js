@@ -0,0 +1,123 @@
+// ANSI escape sequences in terminal output
+// Colors and text styles (SGR codes) become styled spans; cursor movement and other
+// control sequences are dropped, and carriage-return progress lines keep their final state.
+
+// Control sequences other than SGR: CSI (cursor, erase...), OSC (titles, links), charset selection
+const CONTROL_SEQUENCES = /\x1b(?:\[[0-9;?]*[A-Za-ln-z]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[()][A-Za-z0-9]|[=>78])/g;
+const SGR_SEQUENCE = /\x1b\[([0-9;]*)m/g;
+const ANY_SEQUENCE = /\x1b\[[0-9;?]*[A-Za-z]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[()][A-Za-z0-9]|\x1b[=>78]/g;
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Keep what a terminal would finally show for lines redrawn with \r (progress bars, spinners)
+function collapseCarriageReturns(text) {
+  return text.split('\n').map(line => {
+    if (!line.includes('\r')) return line;
+    const parts = line.split('\r').filter(part => part !== '');
+    return parts[parts.length - 1] || '';
+  }).join('\n');
+}
+
+// Plain text without escape sequences (Markdown export, previews)
+function stripAnsi(text) {
+  return collapseCarriageReturns(String(text || '').replace(ANY_SEQUENCE, ''));
+}
+
+// Colors 16-255 of the 256-color palette as CSS colors (0-15 use the named classes)
+function paletteColor(index) {
+  if (index >= 232) {
+    const level = 8 + (index - 232) * 10;
+    return `rgb(${level}, ${level}, ${level})`;
+  }
+  const cube = index - 16;
+  const level = value => (value === 0 ? 0 : 55 + value * 40);
+  return `rgb(${level(Math.floor(cube / 36))}, ${level(Math.floor(cube / 6) % 6)}, ${level(cube % 6)})`;
+}
+
+// Extended color (38;5;n / 38;2;r;g;b) starting at codes[i]; returns { color, next }
+function extendedColor(codes, i) {
+  if (codes[i + 1] === 5 && codes[i + 2] !== undefined) {
+    const index = codes[i + 2];
+    return { color: index < 16 ? { named: index } : { css: paletteColor(index) }, next: i + 3 };
+  }
+  if (codes[i + 1] === 2 && codes[i + 4] !== undefined) {
+    return { color: { css: `rgb(${codes[i + 2]}, ${codes[i + 3]}, ${codes[i + 4]})` }, next: i + 5 };
+  }
+  return { color: null, next: codes.length };
+}
+
+function applyCodes(state, codes) {
+  for (let i = 0; i < codes.length;) {
+    const code = codes[i];
+    if (code === 0) {
+      Object.assign(state, { bold: false, dim: false, italic: false, underline: false, fg: null, bg: null });
+    } else if (code === 1) state.bold = true;
+    else if (code === 2) state.dim = true;
+    else if (code === 3) state.italic = true;
+    else if (code === 4) state.underline = true;
+    else if (code === 22) state.bold = state.dim = false;
+    else if (code === 23) state.italic = false;
+    else if (code === 24) state.underline = false;
+    else if (code >= 30 && code <= 37) state.fg = { named: code - 30 };
+    else if (code >= 90 && code <= 97) state.fg = { named: code - 90 + 8 };
+    else if (code === 39) state.fg = null;
+    else if (code >= 40 && code <= 47) state.bg = { named: code - 40 };
+    else if (code >= 100 && code <= 107) state.bg = { named: code - 100 + 8 };
+    else if (code === 49) state.bg = null;
+    else if (code === 38 || code === 48) {
+      const { color, next } = extendedColor(codes, i);
+      state[code === 38 ? 'fg' : 'bg'] = color;
+      i = next;
+      continue;
+    }
+    i++;
+  }
+}
+
+function styledSpan(state, text) {
+  if (!text) return '';
+  const classes = [];
+  const styles = [];
+  if (state.bold) classes.push('ansi-bold');
+  if (state.dim) classes.push('ansi-dim');
+  if (state.italic) classes.push('ansi-italic');
+  if (state.underline) classes.push('ansi-underline');
+  if (state.fg) {
+    if (state.fg.css) styles.push(`color: ${state.fg.css}`);
+    else classes.push(`ansi-fg-${state.fg.named}`);
+  }
+  if (state.bg) {
+    if (state.bg.css) styles.push(`background-color: ${state.bg.css}`);
+    else classes.push(`ansi-bg-${state.bg.named}`);
+  }
+
+  const escaped = escapeHtml(text);
+  if (classes.length === 0 && styles.length === 0) return escaped;
+  const classAttr = classes.length > 0 ? ` class="${classes.join(' ')}"` : '';
+  const styleAttr = styles.length > 0 ? ` style="${styles.join('; ')}"` : '';
+  return `<span${classAttr}${styleAttr}>${escaped}</span>`;
+}
+
+// Terminal output as HTML with ANSI colors and styles as spans (the text itself is escaped)
+function ansiToHtml(text) {
+  const cleaned = collapseCarriageReturns(String(text || '').replace(CONTROL_SEQUENCES, ''));
+  const state = { bold: false, dim: false, italic: false, underline: false, fg: null, bg: null };
+  let html = '';
+  let last = 0;
+
+  cleaned.replace(SGR_SEQUENCE, (match, params, offset) => {
+    html += styledSpan(state, cleaned.substring(last, offset));
+    applyCodes(state, params === '' ? [0] : params.split(';').map(value => parseInt(value, 10) || 0));
+    last = offset + match.length;
+    return match;
+  });
+  html += styledSpan(state, cleaned.substring(last));
+  return html;
+}
+
+module.exports = {
+  ansiToHtml,
+  stripAnsi
+};
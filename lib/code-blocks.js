@@ -0,0 +1,48 @@
+const { isFileEdit, editOperations } = require('./file-changes');
+const { languageForPath, normalizeLanguage } = require('./languages');
+
+// Code in a message
+// Fenced blocks in what its author wrote, and the text Write, Edit and MultiEdit calls put in a
+// file. The language comes from the fence info string or the file extension (see languages.js),
+// so lang:py and lang:python find the same blocks.
+
+// Fenced code blocks of markdown text: [{ language, code }]. A block left open runs to the end.
+function fencedBlocks(text) {
+  const blocks = [];
+  let open = null;
+  String(text || '').split('\n').forEach(line => {
+    if (!open) {
+      const match = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^\s`{]*)/);
+      if (match) open = { closing: new RegExp(`^ {0,3}${match[1][0]}{${match[1].length},}\\s*$`), language: normalizeLanguage(match[2]), lines: [] };
+      return;
+    }
+    if (open.closing.test(line)) {
+      blocks.push({ language: open.language, code: open.lines.join('\n') });
+      open = null;
+      return;
+    }
+    open.lines.push(line);
+  });
+  if (open) blocks.push({ language: open.language, code: open.lines.join('\n') });
+  return blocks;
+}
+
+// [{ language, path, tool, code }]: fences have no path or tool; file edits name both
+function codeBlocks(message) {
+  const blocks = [];
+  message.blocks.forEach(block => {
+    if (block.type === 'text') {
+      fencedBlocks(block.text).forEach(fence => blocks.push({ ...fence, path: null, tool: null }));
+    } else if (isFileEdit(block)) {
+      const language = languageForPath(block.input.file_path);
+      editOperations(block).forEach(operation => {
+        blocks.push({ language, path: block.input.file_path, tool: block.name, code: operation.newString });
+      });
+    }
+  });
+  return blocks.filter(block => block.code.trim());
+}
+
+module.exports = {
+  codeBlocks
+};
@@ -0,0 +1,450 @@
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+const { resolveBranches, isOnPath } = require('./conversation-tree');
+const { normalizeUsage, sumUsage } = require('./token-usage');
+const { emptyMetadata, collectMetadata, branchChangesWithMessages } = require('./session-metadata');
+
+// Shared Claude Code JSONL parser
+// Turns a session file into a normalized message model with typed blocks so that
+// every route (list, detail panel, full page, export) sees the same conversation.
+
+// Flatten tool_result content (string or array of content blocks) into plain text
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part && part.type === 'text' ? part.text || '' : ''))
+      .join('\n');
+  }
+  return content ? JSON.stringify(content) : '';
+}
+
+// Normalize a single content block into one of the typed blocks:
+// text, tool_use, tool_result, thinking, image, system
+function normalizeBlock(block) {
+  if (typeof block === 'string') {
+    return { type: 'text', text: block };
+  }
+  if (!block || typeof block !== 'object') return null;
+
+  switch (block.type) {
+    case 'text':
+      return { type: 'text', text: block.text || '' };
+    case 'tool_use':
+      return { type: 'tool_use', id: block.id, name: block.name, input: block.input || {} };
+    case 'tool_result':
+      return {
+        type: 'tool_result',
+        toolUseId: block.tool_use_id,
+        content: toolResultText(block.content),
+        isError: block.is_error === true
+      };
+    case 'thinking':
+      return { type: 'thinking', text: block.thinking || '', redacted: false };
+    case 'redacted_thinking':
+      return { type: 'thinking', text: '', redacted: true };
+    case 'image':
+      return {
+        type: 'image',
+        mediaType: block.source?.media_type || 'image/png',
+        data: block.source?.data || null
+      };
+    default:
+      return null;
+  }
+}
+
+// Normalize message content (string or array of blocks) into a block array
+function normalizeContent(content) {
+  if (typeof content === 'string') {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+  if (Array.isArray(content)) {
+    return content.map(normalizeBlock).filter(block => block !== null);
+  }
+  return [];
+}
+
+// Claude Code also records a structured copy of some tool results next to the message
+// (`toolUseResult`). For shell commands it keeps stdout and stderr apart and flags interruptions.
+function attachResultStreams(blocks, toolUseResult) {
+  if (!toolUseResult || typeof toolUseResult !== 'object') return;
+  if (typeof toolUseResult.stdout !== 'string' && typeof toolUseResult.stderr !== 'string') return;
+
+  const results = blocks.filter(block => block.type === 'tool_result');
+  if (results.length !== 1) return;
+  results[0].streams = {
+    stdout: toolUseResult.stdout || '',
+    stderr: toolUseResult.stderr || '',
+    interrupted: toolUseResult.interrupted === true
+  };
+}
+
+// Convert one parsed JSONL entry into a normalized message (or null for non-message entries)
+function normalizeEntry(entry, line) {
+  const base = {
+    uuid: entry.uuid || null,
+    parentUuid: entry.parentUuid || null,
+    // Compaction restarts the chain; the logical parent links it back to the earlier messages
+    logicalParentUuid: entry.logicalParentUuid || null,
+    timestamp: entry.timestamp || null,
+    isSidechain: entry.isSidechain === true,
+    line
+  };
+
+  if (entry.type === 'user' && entry.message && entry.message.role === 'user') {
+    const blocks = normalizeContent(entry.message.content);
+    attachResultStreams(blocks, entry.toolUseResult);
+    return { ...base, role: 'user', blocks };
+  }
+
+  if (entry.type === 'assistant' && entry.message && entry.message.role === 'assistant') {
+    return {
+      ...base,
+      role: 'assistant',
+      model: entry.message.model || null,
+      messageId: entry.message.id || null,
+      usage: normalizeUsage(entry.message.usage),
+      blocks: normalizeContent(entry.message.content)
+    };
+  }
+
+  if (entry.type === 'system') {
+    const text = typeof entry.content === 'string' ? entry.content : toolResultText(entry.message?.content);
+    return { ...base, role: 'system', blocks: text ? [{ type: 'system', text }] : [] };
+  }
+
+  return null;
+}
+
+// Register a message's tool_use blocks and attach tool_result blocks to their calls.
+// Claude Code writes results as later `user` entries keyed by tool_use_id, so the
+// call is always registered before its result arrives.
+function pairToolResults(message, toolUses, registerCalls = true) {
+  message.blocks.forEach(block => {
+    if (block.type === 'tool_use' && block.id) {
+      if (!registerCalls) return;
+      toolUses.set(block.id, block);
+    } else if (block.type === 'tool_result') {
+      const call = toolUses.get(block.toolUseId);
+      if (call) {
+        call.result = block;
+      }
+    }
+  });
+}
+
+function emptyConversation() {
+  return { messages: [], summaries: [], lastTimestamp: null, sessionId: null, metadata: emptyMetadata() };
+}
+
+// Add one parsed JSONL entry to a conversation being built
+function collectEntry(conversation, entry, line) {
+  if (entry.timestamp) {
+    conversation.lastTimestamp = entry.timestamp;
+  }
+  if (entry.sessionId && !conversation.sessionId) {
+    conversation.sessionId = entry.sessionId;
+  }
+  collectMetadata(conversation.metadata, entry, line);
+
+  if (entry.type === 'summary' && entry.summary) {
+    conversation.summaries.push({ summary: entry.summary, leafUuid: entry.leafUuid || null });
+    return;
+  }
+
+  const message = normalizeEntry(entry, line);
+  if (message) {
+    conversation.messages.push(message);
+  }
+}
+
+// Stream a session file line by line, calling onEntry(entry, line) for every parsed entry.
+// Line numbers count non-empty lines (the `line` of normalized messages and metadata).
+// Returning false from onEntry stops reading the rest of the file.
+async function forEachEntry(filePath, onEntry) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf-8' });
+  // Surface ENOENT and friends before readline swallows them
+  await once(stream, 'open');
+
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let index = 0;
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const lineIndex = index++;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      // Skip unparseable lines
+      continue;
+    }
+    if (onEntry(entry, lineIndex) === false) {
+      stream.destroy();
+      break;
+    }
+  }
+}
+
+// Read and parse a session file
+async function readConversation(filePath) {
+  const conversation = emptyConversation();
+  await forEachEntry(filePath, (entry, line) => collectEntry(conversation, entry, line));
+
+  const toolUses = new Map();
+  conversation.messages.forEach(message => pairToolResults(message, toolUses));
+  return conversation;
+}
+
+// Joined text of a message's text blocks
+function messageText(message) {
+  return message.blocks
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+    .trim();
+}
+
+// Everything searchable in a message: text, reasoning, tool calls, tool output and system notes
+function messageSearchText(message) {
+  return message.blocks.map(block => {
+    switch (block.type) {
+      case 'text':
+      case 'system':
+      case 'thinking':
+        return block.text;
+      case 'tool_use':
+        return `Tool: ${block.name} ${JSON.stringify(block.input)}`;
+      case 'tool_result':
+        return block.content;
+      default:
+        return '';
+    }
+  }).filter(Boolean).join(' ').trim();
+}
+
+// Models that wrote assistant messages, in order of first use.
+// Claude Code records locally generated notices under the "<synthetic>" model, which is left out.
+function modelsUsed(messages) {
+  const models = new Set();
+  messages.forEach(message => {
+    if (message.role === 'assistant' && message.model && message.model !== '<synthetic>') {
+      models.add(message.model);
+    }
+  });
+  return [...models];
+}
+
+// Whether a message appears in the transcript shown to readers
+function isTranscriptMessage(message) {
+  if (message.role === 'user') {
+    return message.blocks.some(block => (block.type === 'text' && block.text.trim()) || block.type === 'image');
+  }
+  if (message.role === 'assistant') {
+    return message.blocks.some(block =>
+      (block.type === 'text' && block.text.trim()) || block.type === 'tool_use' || block.type === 'thinking'
+    );
+  }
+  return false;
+}
+
+// Light node used to rebuild branches (see conversation-tree.js)
+function treeNode(message) {
+  return {
+    uuid: message.uuid,
+    parentUuid: message.parentUuid,
+    logicalParentUuid: message.logicalParentUuid,
+    line: message.line,
+    role: message.role,
+    isSidechain: message.isSidechain,
+    isTranscript: isTranscriptMessage(message),
+    timestamp: message.timestamp,
+    preview: messageText(message).substring(0, 80)
+  };
+}
+
+// Active branch of a parsed conversation: the path to `leafUuid`, or to the last message written
+function resolveConversationBranches(conversation, leafUuid = null) {
+  return resolveBranches(conversation.messages.map(treeNode), leafUuid);
+}
+
+// The user/assistant messages every view renders and counts, following the active branch
+function getTranscript(conversation, { leafUuid = null } = {}) {
+  const resolved = resolveConversationBranches(conversation, leafUuid);
+  return conversation.messages.filter(message => isTranscriptMessage(message) && isOnPath(resolved, message));
+}
+
+// Stream a session file collecting only the light tree nodes
+async function readTreeNodes(filePath) {
+  const nodes = [];
+  await forEachEntry(filePath, (entry, line) => {
+    const message = normalizeEntry(entry, line);
+    if (message) {
+      nodes.push(treeNode(message));
+    }
+  });
+  return nodes;
+}
+
+// Stream a session file and keep only one page of transcript messages.
+// Pass `around` to centre the page on a transcript index instead of starting at `offset`.
+// The file is read twice: once for the branch structure, once for the page itself.
+async function readTranscriptPage(filePath, { offset = 0, limit = 50, around = null, leafUuid = null } = {}) {
+  const resolved = resolveBranches(await readTreeNodes(filePath), leafUuid);
+  const start = around !== null
+    ? Math.max(0, around - Math.floor(limit / 2))
+    : Math.max(0, offset);
+  const page = [];
+  let total = 0;
+  let firstUserText = '';
+  // Only calls on this page are registered, results for them may come after the page ends
+  const pageToolUses = new Map();
+  let imageCount = 0;
+  // Usage is summed over the whole file, so only what sumUsage needs is kept
+  const responses = [];
+  const metadata = emptyMetadata();
+  // JSONL line of every transcript message, to place branch changes in the transcript
+  const transcriptLines = [];
+
+  await forEachEntry(filePath, (entry, line) => {
+    collectMetadata(metadata, entry, line);
+    const message = normalizeEntry(entry, line);
+    if (!message) return;
+    if (message.usage) {
+      const { role, model, messageId, usage } = message;
+      responses.push({ role, model, messageId, usage, line });
+    }
+
+    const inTranscript = isTranscriptMessage(message) && isOnPath(resolved, message);
+    const inPage = inTranscript && total >= start && total < start + limit;
+    pairToolResults(message, pageToolUses, inPage);
+    if (!inTranscript) return;
+
+    transcriptLines.push(message.line);
+    imageCount += message.blocks.filter(block => block.type === 'image').length;
+    if (!firstUserText && message.role === 'user') {
+      firstUserText = messageText(message);
+    }
+    if (inPage) {
+      page.push({ index: total, message });
+    }
+    total++;
+  });
+
+  return {
+    offset: start,
+    total,
+    firstUserText,
+    messages: page,
+    imageCount,
+    cwds: metadata.cwds,
+    versions: metadata.versions,
+    branchChanges: branchChangesWithMessages(metadata, transcriptLines),
+    usage: sumUsage(responses),
+    leafUuid: resolved ? resolved.leafUuid : null,
+    branches: resolved ? resolved.branches : new Map()
+  };
+}
+
+// Parts of a message's text that the detail panel shows: what it says, the string inputs of its
+// tool calls and (through the call) their output
+function shownTexts(block) {
+  switch (block.type) {
+    case 'text':
+    case 'system':
+    case 'thinking':
+      return [block.text];
+    case 'tool_use':
+      return Object.values(block.input || {}).filter(value => typeof value === 'string');
+    case 'tool_result':
+      return [String(block.content || '')];
+    default:
+      return [];
+  }
+}
+
+// Stream a session file and add up countText(text) over the text of every transcript message on
+// the branch ending at leafUuid, without keeping the messages: { total, counts } where counts maps
+// message indices to their (non-zero) count. Tool output counts for the message that made the call.
+async function countTranscriptMatches(filePath, countText, { leafUuid = null } = {}) {
+  const resolved = resolveBranches(await readTreeNodes(filePath), leafUuid);
+  const counts = new Map();
+  // Transcript index of every tool call, for the results that come in later entries
+  const callMessages = new Map();
+  let total = 0;
+  const add = (index, texts) => {
+    const count = texts.reduce((sum, text) => sum + countText(text), 0);
+    if (count > 0) counts.set(index, (counts.get(index) || 0) + count);
+  };
+
+  await forEachEntry(filePath, (entry, line) => {
+    const message = normalizeEntry(entry, line);
+    if (!message) return;
+    message.blocks.filter(block => block.type === 'tool_result' && callMessages.has(block.toolUseId))
+      .forEach(block => add(callMessages.get(block.toolUseId), shownTexts(block)));
+    if (!isTranscriptMessage(message) || !isOnPath(resolved, message)) return;
+
+    message.blocks.forEach(block => {
+      if (block.type === 'tool_result') return;
+      if (block.type === 'tool_use' && block.id) callMessages.set(block.id, total);
+      add(total, shownTexts(block));
+    });
+    total++;
+  });
+
+  return { total, counts };
+}
+
+// Stream a session file until a content block matches, and return it
+async function findBlock(filePath, predicate) {
+  let found = null;
+  await forEachEntry(filePath, (entry, line) => {
+    const message = normalizeEntry(entry, line);
+    if (!message) return;
+    found = message.blocks.find(predicate) || null;
+    if (found) return false;
+  });
+  return found;
+}
+
+// Stream a session file looking for the result of one tool call
+function findToolResult(filePath, toolUseId) {
+  return findBlock(filePath, block => block.type === 'tool_result' && block.toolUseId === toolUseId);
+}
+
+// Stream a session file looking for one tool call
+function findToolUse(filePath, toolUseId) {
+  return findBlock(filePath, block => block.type === 'tool_use' && block.id === toolUseId);
+}
+
+// Stream a session file up to one entry and return its index-th image block
+async function findImage(filePath, line, index) {
+  let found = null;
+  await forEachEntry(filePath, (entry, entryLine) => {
+    if (entryLine < line) return;
+    const message = normalizeEntry(entry, entryLine);
+    found = message ? message.blocks.filter(block => block.type === 'image')[index] || null : null;
+    return false;
+  });
+  return found;
+}
+
+module.exports = {
+  readConversation,
+  readTranscriptPage,
+  countTranscriptMatches,
+  findToolResult,
+  findToolUse,
+  findImage,
+  forEachEntry,
+  normalizeEntry,
+  normalizeContent,
+  messageText,
+  messageSearchText,
+  modelsUsed,
+  isTranscriptMessage,
+  getTranscript,
+  resolveConversationBranches,
+  readTreeNodes
+};
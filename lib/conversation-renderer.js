@@ -0,0 +1,676 @@
+const { marked } = require('marked');
+const { messageText } = require('./conversation-parser');
+const { isSubAgentCall } = require('./sidechains');
+const { isFileEdit, editOperations, editStats } = require('./file-changes');
+const { diffLines, collapseContext, diffStats } = require('./line-diff');
+const { ansiToHtml, stripAnsi } = require('./ansi');
+const { isTodoWrite, todoItems } = require('./todo-timeline');
+const { fileExtension, languageForPath } = require('./languages');
+const { findMatches } = require('./search-query');
+const { escapeHtml } = require('./html');
+
+// Renders normalized messages (see conversation-parser.js) to Markdown and HTML
+
+// Image media types that are served and exported, with their file extensions
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp'
+};
+
+// Tool output longer than this is truncated with a "show full output" control
+const TOOL_RESULT_PREVIEW_CHARS = 4000;
+
+// Code fence long enough that the content cannot close it early
+function fenceCode(content, language = '') {
+  const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${language}\n${content}\n${fence}\n`;
+}
+
+function truncateOutput(content) {
+  if (content.length <= TOOL_RESULT_PREVIEW_CHARS) {
+    return { text: content, truncated: false };
+  }
+  return { text: content.substring(0, TOOL_RESULT_PREVIEW_CHARS), truncated: true };
+}
+
+// Markdown for a tool call's input (without its result)
+function toolCallMarkdown(block) {
+  let markdown = `\n**Tool Call: ${block.name}**\n`;
+  const input = block.input;
+  if (!input) return markdown;
+
+  if (block.name === 'Write' && input.file_path && input.content) {
+    // Show filename prominently, then the content formatted by file type
+    const ext = fileExtension(input.file_path);
+    markdown += `\n\`${input.file_path.split('/').pop()}\`\n\n`;
+    if (ext === 'md' || ext === 'markdown') {
+      // For markdown files, render the content in a box
+      markdown += '---\n\n' + input.content + '\n\n---\n\n';
+    } else {
+      markdown += `\`\`\`${languageForPath(input.file_path)}\n${input.content}\n\`\`\`\n`;
+    }
+  } else if (isFileEdit(block) && block.name !== 'Write') {
+    // Edit / MultiEdit
+    markdown += fileDiffMarkdown(block);
+  } else if (isShellCall(block)) {
+    markdown += terminalMarkdown(block);
+  } else if (isTodoWrite(block)) {
+    markdown += todoListMarkdown(todoItems(block));
+  } else if (block.name === 'Read' && input.file_path) {
+    // Read tool - just show the filename being read
+    markdown += `\n\`${input.file_path.split('/').pop()}\`\n`;
+  } else {
+    // Regular tool input display - skip if empty or too simple
+    const inputStr = JSON.stringify(input, null, 2);
+    if (inputStr && inputStr !== '{}' && inputStr !== 'null') {
+      markdown += '```json\n' + inputStr + '\n```\n';
+    }
+  }
+  return markdown;
+}
+
+// Diff lines of one replacement, with long unchanged runs collapsed
+function operationDiff(op) {
+  return collapseContext(diffLines(op.oldString || '', op.newString));
+}
+
+// Edit/MultiEdit as a unified diff per replacement under the full file path
+function fileDiffMarkdown(block) {
+  const operations = editOperations(block);
+  let markdown = `\n\`${block.input.file_path}\`\n\n`;
+
+  operations.forEach((op, i) => {
+    if (operations.length > 1) markdown += `*Edit ${i + 1} of ${operations.length}*\n\n`;
+    if (op.replaceAll) markdown += '*All occurrences replaced*\n\n';
+    const diff = operationDiff(op).map(line => {
+      if (line.type === 'skip') return `@@ ${line.count} unchanged line${line.count === 1 ? '' : 's'} @@`;
+      return `${line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '}${line.text}`;
+    }).join('\n');
+    markdown += fenceCode(diff, 'diff') + '\n';
+  });
+  return markdown;
+}
+
+function diffSkipLabel(count) {
+  return `⋯ ${count} unchanged line${count === 1 ? '' : 's'}`;
+}
+
+// Unified table: one row per line with a +/- sign
+function unifiedDiffHtml(lines) {
+  const rows = lines.map(line => {
+    if (line.type === 'skip') {
+      return `<tr class="diff-skip"><td colspan="2">${diffSkipLabel(line.count)}</td></tr>`;
+    }
+    const sign = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+    return `<tr class="diff-${line.type}"><td class="diff-sign">${sign}</td><td class="diff-code">${escapeHtml(line.text)}</td></tr>`;
+  });
+  return `<table class="diff-table diff-unified">${rows.join('')}</table>`;
+}
+
+// Side-by-side table: removed lines on the left paired with the added lines that replace them
+function splitDiffHtml(lines) {
+  const rows = [];
+  const cell = line => line
+    ? `<td class="diff-code diff-${line.type}">${escapeHtml(line.text)}</td>`
+    : '<td class="diff-code diff-empty"></td>';
+
+  for (let i = 0; i < lines.length;) {
+    const line = lines[i];
+    if (line.type === 'skip') {
+      rows.push(`<tr class="diff-skip"><td colspan="2">${diffSkipLabel(line.count)}</td></tr>`);
+      i++;
+    } else if (line.type === 'context') {
+      rows.push(`<tr>${cell(line)}${cell(line)}</tr>`);
+      i++;
+    } else {
+      const removed = [];
+      const added = [];
+      while (i < lines.length && lines[i].type === 'removed') removed.push(lines[i++]);
+      while (i < lines.length && lines[i].type === 'added') added.push(lines[i++]);
+      for (let row = 0; row < Math.max(removed.length, added.length); row++) {
+        rows.push(`<tr>${cell(removed[row])}${cell(added[row])}</tr>`);
+      }
+    }
+  }
+  return `<table class="diff-table diff-split">${rows.join('')}</table>`;
+}
+
+// Header of a file diff: path, language, line counts, an optional status and the layout switch
+function fileDiffHeaderHtml(filePath, { added, removed }, status = '') {
+  const language = languageForPath(filePath);
+  let html = '<div class="file-diff-header">';
+  html += `<span class="file-diff-path" title="${escapeHtml(filePath)}">${escapeHtml(filePath)}</span>`;
+  if (language !== 'text') html += `<span class="file-diff-language">${escapeHtml(language)}</span>`;
+  html += `<span class="file-diff-stats"><span class="diff-count-added">+${added}</span> <span class="diff-count-removed">−${removed}</span></span>`;
+  if (status) html += `<span class="file-diff-status">${escapeHtml(status)}</span>`;
+  html += '<span class="diff-modes">' +
+    '<button type="button" class="diff-mode" data-mode="unified">Unified</button>' +
+    '<button type="button" class="diff-mode" data-mode="split">Side by side</button></span>';
+  html += '</div>';
+  return html;
+}
+
+// Edit/MultiEdit as a diff with the file path, language and line counts.
+// Both layouts are rendered; the viewer-wide diff mode decides which one shows.
+function fileDiffHtml(block) {
+  const filePath = block.input.file_path;
+  const operations = editOperations(block);
+  const failed = block.result?.isError === true;
+
+  let html = `<div class="file-diff${failed ? ' file-diff-failed' : ''}" data-language="${escapeHtml(languageForPath(filePath))}">`;
+  html += fileDiffHeaderHtml(filePath, editStats(block), failed ? 'Not applied' : '');
+
+  operations.forEach((op, i) => {
+    const notes = [
+      operations.length > 1 ? `Edit ${i + 1} of ${operations.length}` : '',
+      op.replaceAll ? 'all occurrences' : ''
+    ].filter(Boolean).join(' · ');
+    if (notes) html += `<div class="file-diff-note">${notes}</div>`;
+    const lines = operationDiff(op);
+    html += unifiedDiffHtml(lines) + splitDiffHtml(lines);
+  });
+
+  html += '</div>';
+  return html;
+}
+
+// Diff between two versions of a whole file (see file-replay.js)
+function contentDiffHtml(filePath, oldText, newText) {
+  const ops = diffLines(oldText || '', newText || '');
+  const stats = diffStats(ops);
+  const unchanged = stats.added === 0 && stats.removed === 0;
+
+  let html = `<div class="file-diff" data-language="${escapeHtml(languageForPath(filePath))}">`;
+  html += fileDiffHeaderHtml(filePath, stats, unchanged ? 'No changes' : '');
+  if (!unchanged) {
+    const lines = collapseContext(ops);
+    html += unifiedDiffHtml(lines) + splitDiffHtml(lines);
+  }
+  html += '</div>';
+  return html;
+}
+
+// Files changed in a chat (see file-changes.js summarizeChanges), linked to the messages that changed them.
+// fileUrl(filePath), when given, links each file to its reconstructed content.
+function changesSummaryHtml(files, { fileUrl = null } = {}) {
+  if (files.length === 0) return '';
+  const totals = files.reduce((sum, file) => ({ added: sum.added + file.added, removed: sum.removed + file.removed }), { added: 0, removed: 0 });
+
+  let html = '<details class="changes-summary">';
+  html += `<summary>${files.length} file${files.length === 1 ? '' : 's'} changed ` +
+    `<span class="diff-count-added">+${totals.added}</span> <span class="diff-count-removed">−${totals.removed}</span></summary>`;
+  html += '<ul class="changes-files">';
+  files.forEach(file => {
+    html += `<li class="changes-file"><span class="changes-path" title="${escapeHtml(file.filePath)}">${escapeHtml(file.filePath)}</span>`;
+    if (fileUrl) {
+      html += ` <a href="${escapeHtml(fileUrl(file.filePath))}" class="changes-file-view" target="_blank" title="Show the file as reconstructed from this chat">view file</a>`;
+    }
+    html += ` <span class="diff-count-added">+${file.added}</span> <span class="diff-count-removed">−${file.removed}</span>`;
+    html += '<span class="changes-links">';
+    file.changes.forEach(change => {
+      const title = `${change.tool} in message ${change.messageIndex + 1}: +${change.added} −${change.removed}${change.failed ? ' (not applied)' : ''}`;
+      html += `<a href="#msg-${change.messageIndex}" class="changes-link${change.failed ? ' changes-link-failed' : ''}" ` +
+        `data-message-index="${change.messageIndex}" title="${escapeHtml(title)}">${change.tool === 'Write' ? 'W' : 'E'}${change.messageIndex + 1}</a>`;
+    });
+    html += '</span></li>';
+  });
+  html += '</ul></details>';
+  return html;
+}
+
+// Checklist marks and labels per todo status
+const TODO_STATUS_DISPLAY = {
+  pending: { mark: '○', label: 'pending' },
+  in_progress: { mark: '◐', label: 'in progress' },
+  completed: { mark: '✓', label: 'completed' }
+};
+
+// TodoWrite list as a Markdown task list (the item in progress is marked in italics)
+function todoListMarkdown(todos) {
+  if (todos.length === 0) return '\n*Todo list cleared*\n';
+  return '\n' + todos.map(todo => {
+    const box = todo.status === 'completed' ? '[x]' : '[ ]';
+    return `- ${box} ${todo.content}${todo.status === 'in_progress' ? ' *(in progress)*' : ''}`;
+  }).join('\n') + '\n';
+}
+
+function todoItemHtml(todo) {
+  const display = TODO_STATUS_DISPLAY[todo.status];
+  // The active form ("Running tests") is what the agent shows while an item is in progress
+  const text = todo.status === 'in_progress' && todo.activeForm ? todo.activeForm : todo.content;
+  return `<li class="todo-item todo-${todo.status.replace('_', '-')}" title="${escapeHtml(`${todo.content} (${display.label})`)}">` +
+    `<span class="todo-mark">${display.mark}</span><span class="todo-text">${escapeHtml(text)}</span></li>`;
+}
+
+// TodoWrite list as a checklist
+function todoListHtml(todos) {
+  if (todos.length === 0) return '<div class="todo-list todo-list-empty"><em>Todo list cleared</em></div>';
+  const done = todos.filter(todo => todo.status === 'completed').length;
+  return `<div class="todo-list"><div class="todo-progress">${done} of ${todos.length} completed</div>` +
+    `<ul>${todos.map(todoItemHtml).join('')}</ul></div>`;
+}
+
+function todoChangeLabel(change) {
+  if (change.from === null) return `added as ${TODO_STATUS_DISPLAY[change.to].label}`;
+  if (change.to === null) return 'removed';
+  return `${TODO_STATUS_DISPLAY[change.from].label} → ${TODO_STATUS_DISPLAY[change.to].label}`;
+}
+
+// How the todo list changed over a chat (see todo-timeline.js), each step linked to its message
+function todoTimelineHtml(steps) {
+  if (steps.length === 0) return '';
+  const current = steps[steps.length - 1].todos;
+
+  let html = '<div class="todo-timeline">';
+  html += '<div class="todo-timeline-heading">Current list</div>' + todoListHtml(current);
+  html += '<div class="todo-timeline-heading">History</div><ol class="todo-steps">';
+  steps.forEach(step => {
+    html += `<li class="todo-step"><a href="#msg-${step.messageIndex}" class="todo-step-link" data-message-index="${step.messageIndex}">` +
+      `Message ${step.messageIndex + 1}</a>`;
+    html += '<ul class="todo-changes">';
+    step.changes.forEach(change => {
+      const status = (change.to || 'removed').replace('_', '-');
+      html += `<li class="todo-change todo-change-${status}"><span class="todo-mark">${change.to ? TODO_STATUS_DISPLAY[change.to].mark : '✕'}</span>` +
+        `<span class="todo-text">${escapeHtml(change.content)}</span> <span class="todo-change-label">${todoChangeLabel(change)}</span></li>`;
+    });
+    html += '</ul></li>';
+  });
+  html += '</ol></div>';
+  return html;
+}
+
+function isShellCall(block) {
+  return block.type === 'tool_use' && block.name === 'Bash' && typeof block.input?.command === 'string';
+}
+
+// Outcome of a shell call from its paired result: { state, label }
+// state is success, error, interrupted, timeout or unknown (no result recorded)
+function shellStatus(block) {
+  const result = block.result;
+  if (!result) {
+    return { state: 'unknown', label: 'No result recorded' };
+  }
+  if (result.streams?.interrupted ||
+      /^\[Request interrupted|^Interrupted by user|doesn't want to proceed with this tool use/i.test(result.content)) {
+    return { state: 'interrupted', label: 'Interrupted' };
+  }
+  if (/^(?:Error:\s*)?Command timed out/i.test(result.content)) {
+    return { state: 'timeout', label: 'Timed out' };
+  }
+  const exitCode = result.content.match(/^(?:Error:\s*)?Exit code (\d+)/);
+  if (exitCode) {
+    return { state: exitCode[1] === '0' ? 'success' : 'error', label: `Exit code ${exitCode[1]}` };
+  }
+  return result.isError ? { state: 'error', label: 'Failed' } : { state: 'success', label: 'Exit code 0' };
+}
+
+// Output of a shell call as [{ stream: 'stdout' | 'stderr', text }]. Recorded streams are
+// used when present; otherwise the result text, without the "Exit code N" line shown as status.
+function shellOutput(result) {
+  if (result.streams) {
+    return [
+      { stream: 'stdout', text: result.streams.stdout },
+      { stream: 'stderr', text: result.streams.stderr }
+    ].filter(part => part.text);
+  }
+  const text = result.content.replace(/^(?:Error:\s*)?Exit code \d+\n?/, '');
+  return text ? [{ stream: result.isError ? 'stderr' : 'stdout', text }] : [];
+}
+
+// Shell output cut to the preview length across streams
+function truncateShellOutput(parts) {
+  let budget = TOOL_RESULT_PREVIEW_CHARS;
+  const kept = [];
+  parts.forEach(part => {
+    if (budget > 0) kept.push({ ...part, text: part.text.substring(0, budget) });
+    budget -= part.text.length;
+  });
+  return { parts: kept, truncated: budget < 0 };
+}
+
+// HTML of a shell call's output, ANSI colors as styled spans (also used for "show full output")
+function terminalOutputHtml(parts) {
+  return parts
+    .map(part => `<span class="terminal-${part.stream}">${ansiToHtml(part.text)}</span>`)
+    .join('');
+}
+
+// Shell output of a tool result, in full (used by /api/tool-result)
+function fullTerminalOutputHtml(result) {
+  return terminalOutputHtml(shellOutput(result));
+}
+
+// Secondary details of a shell call shown next to its description
+function shellFlags(input) {
+  const flags = [];
+  if (input.run_in_background) flags.push('background');
+  if (input.timeout) flags.push(`timeout ${Math.round(input.timeout / 1000)}s`);
+  return flags;
+}
+
+// Bash call as a terminal transcript: the command as a prompt line, then its output and exit status
+function terminalMarkdown(block) {
+  const input = block.input;
+  const status = shellStatus(block);
+  let markdown = '\n';
+  if (input.description) markdown += `*${input.description}*\n\n`;
+
+  let screen = input.command.split('\n').map((line, i) => (i === 0 ? `$ ${line}` : `> ${line}`)).join('\n');
+  let truncated = false;
+  if (block.result) {
+    const output = truncateShellOutput(shellOutput(block.result));
+    truncated = output.truncated;
+    const text = output.parts.map(part => stripAnsi(part.text).replace(/\n$/, '')).join('\n');
+    if (text) screen += `\n${text}`;
+  }
+  markdown += fenceCode(screen, 'console');
+  if (truncated) markdown += '\n*Output truncated.*\n';
+  if (status.state !== 'success') markdown += `\n*${status.label}*\n`;
+  return markdown;
+}
+
+function terminalHtml(block) {
+  const input = block.input;
+  const status = shellStatus(block);
+  const flags = shellFlags(input);
+
+  let html = `<div class="terminal terminal-${status.state}">`;
+  if (input.description || flags.length > 0) {
+    html += '<div class="terminal-caption">';
+    if (input.description) html += `<span class="terminal-description">${escapeHtml(input.description)}</span>`;
+    if (flags.length > 0) html += `<span class="terminal-flags">${escapeHtml(flags.join(' · '))}</span>`;
+    html += '</div>';
+  }
+
+  const [firstLine, ...moreLines] = input.command.split('\n');
+  html += '<pre class="terminal-screen">';
+  html += `<span class="terminal-prompt">$ </span><span class="terminal-command">${escapeHtml(firstLine)}`;
+  moreLines.forEach(line => {
+    html += `\n<span class="terminal-continuation">&gt; </span>${escapeHtml(line)}`;
+  });
+  html += '</span>';
+
+  let truncated = false;
+  if (block.result) {
+    const output = truncateShellOutput(shellOutput(block.result));
+    truncated = output.truncated;
+    html += `\n<span class="terminal-output" data-format="terminal">${terminalOutputHtml(output.parts)}</span>`;
+  }
+  html += '</pre>';
+
+  if (truncated) {
+    html += `<button type="button" class="tool-result-more" data-tool-use-id="${escapeHtml(block.id)}">`;
+    html += `Show full output (${Math.ceil(block.result.content.length / 1024)} KB)</button>`;
+  }
+  html += `<div class="terminal-status">${escapeHtml(status.label)}</div>`;
+  html += '</div>';
+  return html;
+}
+
+// Markdown for a tool call's paired result
+function toolResultMarkdown(result) {
+  const { text, truncated } = truncateOutput(result.content);
+  let markdown = `\n**${result.isError ? 'Error' : 'Result'}:**\n\n`;
+  markdown += fenceCode(text, 'text');
+  if (truncated) {
+    markdown += `\n*Output truncated, ${result.content.length - text.length} more characters not shown.*\n`;
+  }
+  return markdown;
+}
+
+// Markdown for a single tool_use block, including its result when paired
+function toolUseMarkdown(block) {
+  let markdown = toolCallMarkdown(block);
+  // Shell calls show their output inside the terminal block; a successful TodoWrite result
+  // only acknowledges the update
+  if (block.result && !isShellCall(block) && !(isTodoWrite(block) && !block.result.isError)) {
+    markdown += toolResultMarkdown(block.result);
+  }
+  return markdown;
+}
+
+// Collapsible HTML for a tool call's paired result
+function toolResultHtml(block) {
+  const result = block.result;
+  if (!result) return '';
+
+  const { text, truncated } = truncateOutput(result.content);
+  const lineCount = result.content ? result.content.split('\n').length : 0;
+  const label = result.isError ? 'Error output' : 'Output';
+
+  let html = `<details class="tool-result${result.isError ? ' tool-result-error' : ''}"${result.isError ? ' open' : ''}>`;
+  html += `<summary>${label} <span class="tool-result-size">${lineCount} line${lineCount === 1 ? '' : 's'}</span></summary>`;
+  html += `<pre class="tool-result-output">${escapeHtml(text) || '<em>No output</em>'}</pre>`;
+  if (truncated) {
+    html += `<button type="button" class="tool-result-more" data-tool-use-id="${escapeHtml(block.id)}">`;
+    html += `Show full output (${Math.ceil(result.content.length / 1024)} KB)</button>`;
+  }
+  html += '</details>';
+  return html;
+}
+
+// Inline expansion placeholder for a Task call's sub-agent transcript (loaded on demand)
+function subAgentHtml(block) {
+  return `<div class="sub-agent" data-tool-use-id="${escapeHtml(block.id)}">` +
+    '<button type="button" class="sub-agent-open">▸ Open sub-agent transcript</button>' +
+    '<div class="sub-agent-transcript"></div></div>';
+}
+
+// Image blocks of a message, numbered the way /api/image addresses them
+function imageBlocks(message) {
+  return message.blocks.filter(block => block.type === 'image');
+}
+
+// Markdown for an image: a link to the exported file when imageFile(block) names one,
+// otherwise a placeholder (base64 is never written into the Markdown)
+function imageMarkdown(block, imageFile) {
+  const file = imageFile && IMAGE_EXTENSIONS[block.mediaType] && block.data ? imageFile(block) : null;
+  return file ? `![Image](${file})` : `*[Image: ${block.mediaType}]*`;
+}
+
+// Thumbnail linking to the full-size image, served by /api/image so the JSON API carries no base64
+function imageHtml(message, block, imageBaseUrl) {
+  if (!imageBaseUrl) {
+    return `<em class="message-image-missing">[Image: ${escapeHtml(block.mediaType)}]</em>`;
+  }
+  const url = `${imageBaseUrl}/${message.line}/${imageBlocks(message).indexOf(block)}`;
+  return `<a class="message-image" href="${escapeHtml(url)}" target="_blank" title="Click to zoom">` +
+    `<img src="${escapeHtml(url)}" alt="Pasted image" loading="lazy"></a>`;
+}
+
+// Markdown for an extended-thinking block, as a quoted "Reasoning" section
+function thinkingMarkdown(block) {
+  if (block.redacted) {
+    return '\n> **Reasoning:** *(redacted)*\n\n';
+  }
+  const quoted = block.text.trim().split('\n').map(line => `> ${line}`).join('\n');
+  return `\n> **Reasoning:**\n>\n${quoted}\n\n`;
+}
+
+// Collapsed "Reasoning" section for an extended-thinking block
+function thinkingHtml(block) {
+  if (block.redacted) {
+    return '<details class="reasoning"><summary>Reasoning <span class="reasoning-note">redacted</span></summary>' +
+      '<div class="reasoning-body"><em>This reasoning was redacted by the API.</em></div></details>';
+  }
+  return `<details class="reasoning"><summary>Reasoning</summary><div class="reasoning-body">${marked(block.text)}</div></details>`;
+}
+
+// Whether a message consists only of reasoning (hidden entirely when reasoning is toggled off)
+function isReasoningOnly(message) {
+  return message.blocks.length > 0 &&
+    message.blocks.every(block => block.type === 'thinking' || (block.type === 'text' && !block.text.trim()));
+}
+
+// Markdown body of a transcript message. Reasoning is left out unless includeThinking is set;
+// images are linked through imageFile(block) when given (see imageMarkdown).
+function messageMarkdown(message, { includeThinking = false, imageFile = null } = {}) {
+  if (message.role === 'user') {
+    const images = imageBlocks(message).map(block => imageMarkdown(block, imageFile));
+    return [messageText(message), ...images].filter(Boolean).join('\n\n');
+  }
+
+  let markdown = '';
+  message.blocks.forEach(block => {
+    if (block.type === 'text') {
+      markdown += block.text + '\n';
+    } else if (block.type === 'thinking' && includeThinking) {
+      markdown += thinkingMarkdown(block);
+    } else if (block.type === 'tool_use') {
+      markdown += toolUseMarkdown(block);
+    } else if (block.type === 'image') {
+      markdown += `\n${imageMarkdown(block, imageFile)}\n`;
+    }
+  });
+  return markdown.trim();
+}
+
+// HTML body of a transcript message, rendered block by block so that
+// tool results can be wrapped in their own collapsible elements
+function messageHtml(message, imageBaseUrl) {
+  if (message.role === 'user') {
+    const text = messageText(message);
+    const images = imageBlocks(message).map(block => imageHtml(message, block, imageBaseUrl)).join('');
+    return (text ? marked(text) : '') + (images ? `<div class="message-images">${images}</div>` : '');
+  }
+
+  return message.blocks.map(block => {
+    if (block.type === 'text') {
+      return block.text.trim() ? marked(block.text) : '';
+    }
+    if (block.type === 'thinking') {
+      return thinkingHtml(block);
+    }
+    if (isShellCall(block)) {
+      return marked(`**Tool Call: ${block.name}**`) + terminalHtml(block);
+    }
+    if (isTodoWrite(block)) {
+      return marked(`**Tool Call: ${block.name}**`) + todoListHtml(todoItems(block)) +
+        (block.result?.isError ? toolResultHtml(block) : '');
+    }
+    if (block.type === 'tool_use' && isFileEdit(block) && block.name !== 'Write') {
+      return marked(`**Tool Call: ${block.name}**`) + fileDiffHtml(block) + toolResultHtml(block);
+    }
+    if (block.type === 'tool_use') {
+      return marked(toolCallMarkdown(block).trim()) +
+        toolResultHtml(block) +
+        (isSubAgentCall(block) ? subAgentHtml(block) : '');
+    }
+    if (block.type === 'image') {
+      return `<div class="message-images">${imageHtml(message, block, imageBaseUrl)}</div>`;
+    }
+    return '';
+  }).join('');
+}
+
+// Short display name for a model id (claude-sonnet-4-20250514 -> sonnet-4)
+function modelLabel(model) {
+  return model ? model.replace(/^claude-/, '').replace(/-\d{8}$/, '') : null;
+}
+
+// View model used by the chat page and the JSON API.
+// imageBaseUrl is the chat's /api/image path; images are left as placeholders without it.
+function renderMessage(message, { imageBaseUrl = null } = {}) {
+  const content = messageMarkdown(message);
+  return {
+    role: message.role,
+    content,
+    htmlContent: messageHtml(message, imageBaseUrl) || null,
+    timestamp: message.timestamp,
+    model: message.model || null,
+    modelLabel: modelLabel(message.model),
+    reasoningOnly: isReasoningOnly(message)
+  };
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] || entity;
+  });
+}
+
+// Wrap every match of a global search pattern in the text of an HTML fragment, never inside a
+// tag. Text is decoded before matching, so `a < b` is found; wrap(match) returns the HTML for a match.
+function highlightHtml(html, pattern, wrap) {
+  if (!html || !pattern) return html;
+  return html.split(/(<[^>]*>)/).map((part, i) => {
+    if (i % 2 === 1 || !part) return part;
+    const text = decodeHtmlEntities(part);
+    let highlighted = '';
+    let last = 0;
+    for (const [index, match] of findMatches(text, pattern)) {
+      highlighted += escapeHtml(text.slice(last, index)) + wrap(match);
+      last = index + match.length;
+    }
+    return last === 0 ? part : highlighted + escapeHtml(text.slice(last));
+  }).join('');
+}
+
+// Bold every match of the search pattern in Markdown output
+function highlightSearchTermMarkdown(text, searchPattern) {
+  if (!searchPattern || !text) return text;
+  let markdown = '';
+  let last = 0;
+  for (const [index, match] of findMatches(text, searchPattern)) {
+    markdown += `${text.slice(last, index)}**${match}**`;
+    last = index + match.length;
+  }
+  return markdown + text.slice(last);
+}
+
+// Full Markdown export of a transcript.
+// imageFile(block) is called for each image and returns the relative path it will be written to.
+// sessions ([{ id, title, startIndex }]) exports a continued thread, with a heading at each session.
+// searchPattern (see compileSearchPattern) bolds the matches of searchTerm.
+function exportMarkdown(transcript, { chatId, sessions = null, searchTerm, searchPattern = null, includeThinking = false, imageFile = null }) {
+  let markdown = `# Claude Chat History\n\n`;
+  markdown += `**Chat ID:** ${chatId}\n`;
+  if (sessions) {
+    markdown += `**Sessions:** ${sessions.map(session => session.id).join(', ')}\n`;
+  }
+  markdown += `**Exported:** ${new Date().toLocaleString()}\n`;
+  if (searchTerm) {
+    markdown += `**Search Term:** "${searchTerm}"\n`;
+  }
+  markdown += `\n---\n\n`;
+
+  const sessionStarts = new Map((sessions || []).map((session, i) => [session.startIndex, { ...session, number: i + 1 }]));
+  transcript.forEach((message, index) => {
+    const session = sessionStarts.get(index);
+    if (session) {
+      markdown += `# Session ${session.number} of ${sessions.length}: ${session.title}\n`;
+      markdown += `*${session.id}*\n\n`;
+    }
+
+    const body = messageMarkdown(message, { includeThinking, imageFile });
+    if (!body) return;
+
+    const timestamp = message.timestamp ? new Date(message.timestamp).toLocaleString() : '';
+    markdown += message.role === 'user' ? `## You\n` : `## Claude\n`;
+    if (timestamp) markdown += `*${timestamp}*\n\n`;
+    markdown += `${highlightSearchTermMarkdown(body, searchPattern)}\n\n`;
+  });
+
+  return markdown;
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  modelLabel,
+  escapeHtml,
+  fenceCode,
+  messageMarkdown,
+  changesSummaryHtml,
+  contentDiffHtml,
+  todoTimelineHtml,
+  fullTerminalOutputHtml,
+  highlightHtml,
+  renderMessage,
+  exportMarkdown
+};
@@ -0,0 +1,152 @@
+// Conversation branches rebuilt from uuid/parentUuid chains
+// When a prompt is edited or the session is rewound, Claude Code keeps writing to the same
+// file, so one file can hold several branches. Every function here works on light tree
+// nodes ({ uuid, parentUuid, logicalParentUuid, line, role, isSidechain, isTranscript,
+// timestamp, preview }) so the whole tree can be kept in memory for very large files.
+
+function parentOf(node) {
+  return node.parentUuid || node.logicalParentUuid || null;
+}
+
+// Children that belong to the conversation itself (system notes never form a branch)
+function conversationNodes(nodes) {
+  return nodes.filter(node => node.role === 'user' || node.role === 'assistant');
+}
+
+function buildTree(nodes) {
+  const byUuid = new Map();
+  const children = new Map();
+  const roots = [];
+
+  nodes.forEach(node => {
+    if (node.uuid) byUuid.set(node.uuid, node);
+  });
+  nodes.forEach(node => {
+    if (!node.uuid) return;
+    const parent = parentOf(node);
+    if (parent && byUuid.has(parent)) {
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(node);
+    } else if (!node.isSidechain) {
+      roots.push(node);
+    }
+  });
+
+  return { byUuid, children, roots };
+}
+
+// Follow the most recently written child until reaching a leaf
+function latestLeaf(tree, node) {
+  const seen = new Set();
+  let current = node;
+  while (current && !seen.has(current.uuid)) {
+    seen.add(current.uuid);
+    const kids = tree.children.get(current.uuid) || [];
+    const next = conversationNodes(kids).pop() || kids[kids.length - 1];
+    if (!next) break;
+    current = next;
+  }
+  return current;
+}
+
+function siblingsOf(tree, node, parent) {
+  return conversationNodes(parent ? tree.children.get(parent.uuid) || [] : tree.roots);
+}
+
+// Resolve the path to a leaf (the last message written by default) and its fork points.
+// Returns null when the file has no uuids, in which case every message is on the path.
+//   pathUuids - uuids of every node on the path
+//   branches  - Map of transcript message uuid -> { position, count, options } for the
+//               first transcript message after each fork, where the switcher is shown
+function resolveBranches(nodes, leafUuid = null) {
+  const tree = buildTree(nodes);
+  if (tree.byUuid.size === 0) return null;
+
+  const withUuid = nodes.filter(node => node.uuid);
+  const mainNodes = withUuid.filter(node => !node.isSidechain);
+  const defaultLeaf = (mainNodes.length > 0 ? mainNodes : withUuid).pop();
+  const leaf = (leafUuid && tree.byUuid.get(leafUuid)) || defaultLeaf;
+
+  // Walk up from the leaf to its root
+  const path = [];
+  const seen = new Set();
+  let node = leaf;
+  while (node && !seen.has(node.uuid)) {
+    seen.add(node.uuid);
+    path.unshift(node);
+    node = tree.byUuid.get(parentOf(node));
+  }
+
+  const branches = new Map();
+  let pending = null;
+  path.forEach((current, i) => {
+    const siblings = siblingsOf(tree, current, i > 0 ? path[i - 1] : null);
+    const position = siblings.indexOf(current);
+    if (siblings.length > 1 && position !== -1) {
+      pending = {
+        position: position + 1,
+        count: siblings.length,
+        options: siblings.map(sibling => ({
+          uuid: sibling.uuid,
+          leafUuid: latestLeaf(tree, sibling).uuid,
+          preview: sibling.preview || ''
+        }))
+      };
+    }
+    if (pending && current.isTranscript) {
+      branches.set(current.uuid, pending);
+      pending = null;
+    }
+  });
+
+  return { leafUuid: leaf.uuid, pathUuids: seen, branches };
+}
+
+// Whether a message is on the resolved path (messages without uuids always are)
+function isOnPath(resolved, message) {
+  return !resolved || !message.uuid || resolved.pathUuids.has(message.uuid);
+}
+
+// Tree structure for the API: every node with its parent, plus the fork points
+function describeTree(nodes, leafUuid = null) {
+  const tree = buildTree(nodes);
+  const resolved = resolveBranches(nodes, leafUuid);
+
+  const forks = [];
+  const rootNodes = conversationNodes(tree.roots);
+  if (rootNodes.length > 1) {
+    forks.push({ parentUuid: null, children: rootNodes.map(node => node.uuid) });
+  }
+  tree.children.forEach((kids, parentUuid) => {
+    const branchKids = conversationNodes(kids);
+    if (branchKids.length > 1) {
+      forks.push({ parentUuid, children: branchKids.map(node => node.uuid) });
+    }
+  });
+
+  const leaves = nodes
+    .filter(node => node.uuid && !node.isSidechain && !tree.children.has(node.uuid))
+    .map(node => node.uuid);
+
+  return {
+    activeLeafUuid: resolved ? resolved.leafUuid : null,
+    leaves,
+    forks,
+    nodes: nodes.filter(node => node.uuid).map(node => ({
+      uuid: node.uuid,
+      parentUuid: parentOf(node),
+      role: node.role,
+      timestamp: node.timestamp,
+      isSidechain: node.isSidechain,
+      isTranscript: node.isTranscript,
+      preview: node.preview,
+      onActivePath: isOnPath(resolved, node)
+    }))
+  };
+}
+
+module.exports = {
+  resolveBranches,
+  isOnPath,
+  describeTree
+};
@@ -0,0 +1,75 @@
+const { diffLines, diffStats } = require('./line-diff');
+
+// File changes made by tool calls
+// Write replaces a whole file; Edit and MultiEdit replace old_string with new_string.
+
+const FILE_EDIT_TOOLS = new Set(['Write', 'Edit', 'MultiEdit']);
+
+function isFileEdit(block) {
+  return block.type === 'tool_use' &&
+    FILE_EDIT_TOOLS.has(block.name) &&
+    typeof block.input?.file_path === 'string';
+}
+
+function toOperation(edit) {
+  return {
+    oldString: typeof edit?.old_string === 'string' ? edit.old_string : '',
+    newString: typeof edit?.new_string === 'string' ? edit.new_string : '',
+    replaceAll: edit?.replace_all === true
+  };
+}
+
+// The replacements a call makes, as [{ oldString, newString, replaceAll }].
+// Write has no old text (oldString null): the new content replaces the whole file.
+function editOperations(block) {
+  const input = block.input || {};
+  if (block.name === 'Write') {
+    return [{ oldString: null, newString: typeof input.content === 'string' ? input.content : '', replaceAll: false }];
+  }
+  if (block.name === 'MultiEdit') {
+    return Array.isArray(input.edits) ? input.edits.map(toOperation) : [];
+  }
+  return [toOperation(input)];
+}
+
+// Lines added and removed by a call (failed calls still report what they attempted)
+function editStats(block) {
+  return editOperations(block).reduce((total, op) => {
+    const stats = diffStats(diffLines(op.oldString || '', op.newString));
+    return { added: total.added + stats.added, removed: total.removed + stats.removed };
+  }, { added: 0, removed: 0 });
+}
+
+// Files changed in a transcript, in order of first change:
+// [{ filePath, added, removed, changes: [{ messageIndex, toolUseId, tool, added, removed, failed }] }]
+// Failed calls (the tool returned an error, e.g. old_string not found) are listed but not counted.
+function summarizeChanges(transcript) {
+  const files = new Map();
+
+  transcript.forEach((message, messageIndex) => {
+    message.blocks.filter(isFileEdit).forEach(block => {
+      const filePath = block.input.file_path;
+      if (!files.has(filePath)) {
+        files.set(filePath, { filePath, added: 0, removed: 0, changes: [] });
+      }
+      const file = files.get(filePath);
+      const stats = editStats(block);
+      const failed = block.result?.isError === true;
+
+      file.changes.push({ messageIndex, toolUseId: block.id, tool: block.name, ...stats, failed });
+      if (!failed) {
+        file.added += stats.added;
+        file.removed += stats.removed;
+      }
+    });
+  });
+
+  return [...files.values()];
+}
+
+module.exports = {
+  isFileEdit,
+  editOperations,
+  editStats,
+  summarizeChanges
+};
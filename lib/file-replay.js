@@ -0,0 +1,104 @@
+const { isFileEdit, editOperations } = require('./file-changes');
+
+// File content reconstructed from a transcript
+// Write sets the whole content and Edit/MultiEdit replacements are replayed on top of it.
+// When no Write came first, a complete Read result gives the starting content.
+// Replacements that cannot be applied to the reconstructed text are reported as conflicts.
+
+// Read output is "cat -n" style: right-aligned line number, then a tab or an arrow
+const READ_LINE = /^\s*\d+(?:\t|→)(.*)$/;
+
+// Read returns at most this many lines without offset/limit; a result this long may be cut off
+const READ_LINE_LIMIT = 2000;
+
+// File content shown by a Read call, or null when it was partial, failed or not in cat -n form
+function readResultContent(block) {
+  const input = block.input || {};
+  const result = block.result;
+  if (!result || result.isError || input.offset !== undefined || input.limit !== undefined) return null;
+
+  const lines = [];
+  for (const line of String(result.content || '').split('\n')) {
+    const match = line.match(READ_LINE);
+    // Anything after the numbered lines (e.g. a system reminder) is not file content
+    if (!match) break;
+    lines.push(match[1]);
+  }
+  if (lines.length === 0 || lines.length >= READ_LINE_LIMIT) return null;
+  return lines.join('\n') + '\n';
+}
+
+// Apply one replacement; returns { content, conflict } where conflict explains a mismatch
+function applyOperation(content, op) {
+  if (op.oldString === null) return { content: op.newString, conflict: null };
+  if (content === null) {
+    // An empty old_string creates a new file
+    if (op.oldString === '') return { content: op.newString, conflict: null };
+    return { content, conflict: 'content before this edit is unknown (no earlier Write or full Read)' };
+  }
+  if (op.oldString === '') {
+    return { content, conflict: 'empty old_string on a file that already has content' };
+  }
+
+  const first = content.indexOf(op.oldString);
+  if (first === -1) return { content, conflict: 'old_string not found' };
+  if (op.replaceAll) return { content: content.split(op.oldString).join(op.newString), conflict: null };
+
+  const replaced = content.slice(0, first) + op.newString + content.slice(first + op.oldString.length);
+  // The tool refuses ambiguous edits, so a second match means the reconstruction has drifted
+  const ambiguous = content.indexOf(op.oldString, first + 1) !== -1;
+  return { content: replaced, conflict: ambiguous ? 'old_string matches more than once; the first match was replaced' : null };
+}
+
+function touchesFile(block, filePath) {
+  return block.type === 'tool_use' && block.input?.file_path === filePath &&
+    (isFileEdit(block) || block.name === 'Read');
+}
+
+// Replay the calls on filePath up to and including message upTo:
+// { content, known, steps: [{ messageIndex, toolUseId, tool, status, conflicts, error }] }
+// status: 'applied', 'conflict' (some replacements could not be applied), 'failed' (the tool
+// reported an error, so nothing changed) or 'read' (a Read gave the starting content)
+function replayFile(transcript, filePath, { upTo = Infinity } = {}) {
+  let content = null;
+  const steps = [];
+
+  transcript.forEach((message, messageIndex) => {
+    if (messageIndex > upTo) return;
+    message.blocks.filter(block => touchesFile(block, filePath)).forEach(block => {
+      const step = { messageIndex, toolUseId: block.id, tool: block.name, status: 'applied', conflicts: [], error: null };
+
+      if (block.name === 'Read') {
+        const read = content === null ? readResultContent(block) : null;
+        if (read === null) return;
+        content = read;
+        steps.push({ ...step, status: 'read' });
+        return;
+      }
+
+      if (block.result?.isError) {
+        step.status = 'failed';
+        step.error = String(block.result.content || '').split('\n')[0];
+        steps.push(step);
+        return;
+      }
+
+      const operations = editOperations(block);
+      operations.forEach((op, i) => {
+        const applied = applyOperation(content, op);
+        content = applied.content;
+        if (applied.conflict) {
+          step.conflicts.push({ edit: operations.length > 1 ? i + 1 : null, reason: applied.conflict, oldString: op.oldString });
+        }
+      });
+      if (step.conflicts.length > 0) step.status = 'conflict';
+      steps.push(step);
+    });
+  });
+
+  return { content, known: content !== null, steps };
+}
+
+module.exports = {
+  replayFile
+};
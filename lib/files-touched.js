@@ -0,0 +1,112 @@
+// Files touched by tool calls
+// Read/Write/Edit/MultiEdit name a file; Glob and Grep may name the file or directory searched.
+// Paths are recorded as the tool received them (usually absolute).
+
+const FILE_OPERATIONS = {
+  Read: 'read',
+  Write: 'write',
+  Edit: 'edit',
+  MultiEdit: 'edit',
+  Glob: 'search',
+  Grep: 'search'
+};
+
+// Path a tool call touched, or null
+function touchedPath(block) {
+  if (block.type !== 'tool_use' || !FILE_OPERATIONS[block.name]) return null;
+  const input = block.input || {};
+  const filePath = block.name === 'Glob' || block.name === 'Grep' ? input.path : input.file_path;
+  if (typeof filePath !== 'string') return null;
+
+  const trimmed = filePath.trim().replace(/(.)\/+$/, '$1');
+  return trimmed && trimmed !== '.' ? trimmed : null;
+}
+
+// Files touched in a transcript, in order of first touch:
+// [{ path, touches: [{ messageIndex, tool, failed? }] }]
+// Stored per conversation in the history index, so touches are kept small (failed only when true).
+function filesTouched(transcript) {
+  const files = new Map();
+
+  transcript.forEach((message, messageIndex) => {
+    message.blocks.forEach(block => {
+      const filePath = touchedPath(block);
+      if (!filePath) return;
+      if (!files.has(filePath)) files.set(filePath, { path: filePath, touches: [] });
+      const touch = { messageIndex, tool: block.name };
+      if (block.result?.isError === true) touch.failed = true;
+      files.get(filePath).touches.push(touch);
+    });
+  });
+
+  return [...files.values()];
+}
+
+function operationOf(touch) {
+  return FILE_OPERATIONS[touch.tool] || 'read';
+}
+
+function operationCounts(touches) {
+  const counts = { read: 0, write: 0, edit: 0, search: 0 };
+  touches.forEach(touch => counts[operationOf(touch)]++);
+  return counts;
+}
+
+// Every file in the history index with how often and where it was touched, most recent first.
+// query keeps paths containing it (case-insensitive).
+function listFiles(threads, { query = '' } = {}) {
+  const needle = query.trim().toLowerCase();
+  const files = new Map();
+
+  threads.forEach(thread => {
+    (thread.files || []).forEach(file => {
+      if (needle && !file.path.toLowerCase().includes(needle)) return;
+      if (!files.has(file.path)) {
+        files.set(file.path, { path: file.path, conversations: 0, projects: new Set(), touches: [], lastTouched: null });
+      }
+      const entry = files.get(file.path);
+      entry.conversations++;
+      entry.projects.add(thread.project);
+      entry.touches.push(...file.touches);
+      if (!entry.lastTouched || thread.date > entry.lastTouched) entry.lastTouched = thread.date;
+    });
+  });
+
+  return [...files.values()]
+    .map(entry => ({
+      path: entry.path,
+      conversations: entry.conversations,
+      projects: [...entry.projects].sort(),
+      operations: operationCounts(entry.touches),
+      lastTouched: entry.lastTouched
+    }))
+    .sort((a, b) => (b.lastTouched || '').localeCompare(a.lastTouched || '') || a.path.localeCompare(b.path));
+}
+
+// History of one file across conversations, newest conversation first:
+// [{ id, project, projectDir, date, firstSentence, isSidechain, touches, operations }]
+function fileHistory(threads, filePath) {
+  return threads
+    .map(thread => {
+      const file = (thread.files || []).find(f => f.path === filePath);
+      return file && {
+        id: thread.id,
+        project: thread.project,
+        projectDir: thread.projectDir,
+        date: thread.date,
+        firstSentence: thread.firstSentence,
+        isSidechain: thread.isSidechain,
+        touches: file.touches.map(touch => ({ ...touch, operation: operationOf(touch) })),
+        operations: operationCounts(file.touches)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+module.exports = {
+  touchedPath,
+  filesTouched,
+  listFiles,
+  fileHistory
+};
@@ -0,0 +1,15 @@
+// HTML escaping
+// Shared by the renderer and the search index (snippets), which should not have to load marked.
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  escapeHtml
+};
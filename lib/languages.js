@@ -0,0 +1,37 @@
+// Code languages
+// Names used for code fences and syntax highlighting, from file extensions. The one table for
+// rendered files, indexed code blocks and the query parser (lang:), kept apart from the renderer
+// so the latter two can use it without loading it.
+
+// File extension to code fence language
+const LANGUAGE_BY_EXTENSION = {
+  js: 'javascript', jsx: 'javascript', ts: 'typescript', tsx: 'typescript',
+  py: 'python', html: 'html', css: 'css', json: 'json', yml: 'yaml', yaml: 'yaml',
+  xml: 'xml', sql: 'sql', sh: 'bash', bash: 'bash', zsh: 'bash', md: 'markdown', rs: 'rust',
+  go: 'go', rb: 'ruby', java: 'java', kt: 'kotlin', swift: 'swift', c: 'c', h: 'c', cpp: 'cpp',
+  cc: 'cpp', hpp: 'cpp', cs: 'csharp', php: 'php', toml: 'toml', scss: 'scss', vue: 'vue'
+};
+
+function fileExtension(filePath) {
+  return filePath.split('.').pop()?.toLowerCase();
+}
+
+function languageForPath(filePath) {
+  return LANGUAGE_BY_EXTENSION[fileExtension(filePath)] || 'text';
+}
+
+// Language name for a fence info string, an extension or a lang: value ('text' when unknown).
+// Extensions and short names map to the names above (py -> python, sh -> bash); other names are
+// kept, so lang:rust finds ```rust fences.
+function normalizeLanguage(name) {
+  const language = String(name || '').toLowerCase().replace(/^\./, '');
+  if (Object.prototype.hasOwnProperty.call(LANGUAGE_BY_EXTENSION, language)) return LANGUAGE_BY_EXTENSION[language];
+  return language || 'text';
+}
+
+module.exports = {
+  LANGUAGE_BY_EXTENSION,
+  fileExtension,
+  languageForPath,
+  normalizeLanguage
+};
@@ -0,0 +1,124 @@
+// Line diff for rendering file edits (Edit/MultiEdit old_string -> new_string)
+// Longest-common-subsequence over lines after trimming the common prefix and suffix.
+// Edits are usually small; very large inputs fall back to "all removed, all added".
+
+// Largest LCS table (changed old lines x changed new lines) computed before falling back
+const MAX_DIFF_CELLS = 2000000;
+
+// Unchanged lines kept around each change when long unchanged runs are collapsed
+const CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Diff two texts into [{ type: 'context' | 'removed' | 'added', text, oldLine?, newLine? }]
+// with 1-based line numbers relative to each text
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const middle = oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS
+    ? [...oldMiddle.map(text => ({ type: 'removed', text })), ...newMiddle.map(text => ({ type: 'added', text }))]
+    : lcsDiff(oldMiddle, newMiddle);
+
+  const ops = [
+    ...a.slice(0, prefix).map(text => ({ type: 'context', text })),
+    ...middle,
+    ...a.slice(a.length - suffix).map(text => ({ type: 'context', text }))
+  ];
+
+  // Number the lines on each side
+  let oldLine = 0;
+  let newLine = 0;
+  ops.forEach(op => {
+    if (op.type !== 'added') op.oldLine = ++oldLine;
+    if (op.type !== 'removed') op.newLine = ++newLine;
+  });
+  return ops;
+}
+
+function lcsDiff(a, b) {
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'context', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: 'removed', text: a[i++] });
+    } else {
+      ops.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) ops.push({ type: 'added', text: b[j++] });
+  return ops;
+}
+
+// Replace unchanged runs longer than 2 * context with { type: 'skip', count }
+function collapseContext(ops, context = CONTEXT_LINES) {
+  const result = [];
+  let run = [];
+
+  const flush = (atStart, atEnd) => {
+    const keepBefore = atStart ? 0 : context;
+    const keepAfter = atEnd ? 0 : context;
+    if (run.length > keepBefore + keepAfter + 1) {
+      result.push(...run.slice(0, keepBefore));
+      result.push({ type: 'skip', count: run.length - keepBefore - keepAfter });
+      result.push(...run.slice(run.length - keepAfter));
+    } else {
+      result.push(...run);
+    }
+    run = [];
+  };
+
+  ops.forEach(op => {
+    if (op.type === 'context') {
+      run.push(op);
+    } else {
+      flush(result.length === 0, false);
+      result.push(op);
+    }
+  });
+  flush(result.length === 0, true);
+  return result;
+}
+
+function diffStats(ops) {
+  return {
+    added: ops.filter(op => op.type === 'added').length,
+    removed: ops.filter(op => op.type === 'removed').length
+  };
+}
+
+module.exports = {
+  diffLines,
+  collapseContext,
+  diffStats
+};
@@ -0,0 +1,45 @@
+// Project identity
+// Claude Code keeps each project's sessions in a directory named after the working directory,
+// with every character other than a letter or digit replaced by '-' (/home/dev/my-api becomes
+// -home-dev-my-api). The encoding cannot be reversed (a dash in a name looks like a separator),
+// so the directory name is only used as the key; the path shown comes from the recorded cwd.
+
+function encodeProjectPath(projectPath) {
+  return projectPath.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+// Parent of a POSIX or Windows path, or null at the root
+function parentPath(dir) {
+  const parent = dir.replace(/[\\/]+[^\\/]*$/, '');
+  return parent && parent !== dir ? parent : null;
+}
+
+// Best guess when no session recorded a cwd: every dash read as a separator
+function decodeProjectDir(projectDir) {
+  return projectDir.replace(/-/g, '/');
+}
+
+// Path of the project stored in projectDir, from the cwds recorded in its sessions.
+// Sessions may cd into subdirectories, so ancestors of each cwd are tried as well.
+function resolveProjectPath(projectDir, cwds) {
+  const recorded = cwds.filter(Boolean);
+  for (const cwd of recorded) {
+    for (let dir = cwd; dir; dir = parentPath(dir)) {
+      if (encodeProjectPath(dir) === projectDir) return dir;
+    }
+  }
+  return recorded[0] || decodeProjectDir(projectDir);
+}
+
+// Project name used as the history index key before project paths came from cwd
+// (the last segment of the dash-decoded directory name). Only used to carry over old entries.
+function legacyProjectName(projectDir) {
+  const parts = projectDir.substring(1).replace(/-/g, '/').split('/');
+  return parts[parts.length - 1] || 'Unknown Project';
+}
+
+module.exports = {
+  encodeProjectPath,
+  resolveProjectPath,
+  legacyProjectName
+};
@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+
+// Related conversations
+// Each conversation gets a TF-IDF vector of its most characteristic words, computed locally from
+// the term counts in the full-text search index and kept in a JSON file next to history-index.json:
+//
+// { version, documentCount, conversations: { "<projectDir>/<id>": { mtime, size, vector: { term: weight } } } }
+//
+// Vectors are unit length, so the similarity of two conversations is the dot product of their
+// vectors (cosine similarity). Only conversations whose file changed are re-vectorized; the word
+// weights depend on the whole collection, so every vector is recomputed once it has grown or
+// shrunk by a quarter since they were.
+
+// Bump when the stored format or the weighting changes, so old vectors are rebuilt
+const RELATED_VERSION = 1;
+
+// Words kept per conversation: the highest weighted ones describe its topic
+const VECTOR_TERMS = 64;
+
+// Recompute every vector when the number of conversations changed by this fraction
+const REBUILD_DRIFT = 0.25;
+
+function emptyRelatedIndex() {
+  return { version: RELATED_VERSION, documentCount: 0, conversations: {} };
+}
+
+async function loadRelatedIndex(indexPath) {
+  try {
+    const related = JSON.parse(await fs.readFile(indexPath, 'utf-8'));
+    return related.version === RELATED_VERSION ? related : emptyRelatedIndex();
+  } catch (e) {
+    // No vectors yet (or unreadable) - they are rebuilt from the search index
+    return emptyRelatedIndex();
+  }
+}
+
+async function saveRelatedIndex(indexPath, related) {
+  await fs.writeFile(indexPath, JSON.stringify(related));
+}
+
+// TF-IDF vector of an indexed conversation: sublinear term frequency times inverse document
+// frequency, keeping the top VECTOR_TERMS words. Numbers (line numbers, ids, sizes) say little
+// about the topic and are left out.
+function conversationVector(index, key, documentCount) {
+  const weights = [];
+  index.conversations[key].terms.forEach(term => {
+    if (/^[\d_]+$/.test(term)) return;
+    const postings = index.terms[term];
+    if (!postings || !postings[key]) return;
+    const documentFrequency = Object.keys(postings).length;
+    const idf = Math.log(documentCount / documentFrequency);
+    if (idf <= 0) return;
+    const count = postings[key].reduce((sum, [, messageCount]) => sum + messageCount, 0);
+    weights.push([term, (1 + Math.log(count)) * idf]);
+  });
+
+  const top = weights.sort((a, b) => b[1] - a[1]).slice(0, VECTOR_TERMS);
+  const norm = Math.sqrt(top.reduce((sum, [, weight]) => sum + weight * weight, 0));
+  const vector = {};
+  top.forEach(([term, weight]) => {
+    vector[term] = Math.round(weight / norm * 10000) / 10000;
+  });
+  return vector;
+}
+
+// Bring the vectors up to date with the search index (see search-index.js);
+// returns whether anything changed
+function updateRelatedIndex(related, index) {
+  const keys = Object.keys(index.conversations);
+  const documentCount = keys.length;
+  const rebuild = Math.abs(documentCount - related.documentCount) > related.documentCount * REBUILD_DRIFT;
+  let changed = false;
+
+  keys.forEach(key => {
+    const conversation = index.conversations[key];
+    const stored = related.conversations[key];
+    if (!rebuild && stored && stored.mtime === conversation.mtime && stored.size === conversation.size) return;
+    related.conversations[key] = {
+      mtime: conversation.mtime,
+      size: conversation.size,
+      vector: conversationVector(index, key, documentCount)
+    };
+    changed = true;
+  });
+
+  Object.keys(related.conversations)
+    .filter(key => !index.conversations[key])
+    .forEach(key => {
+      delete related.conversations[key];
+      changed = true;
+    });
+
+  if (rebuild) {
+    related.documentCount = documentCount;
+    changed = true;
+  }
+  return changed;
+}
+
+// Conversations most similar to conversation `key`, best first:
+// [{ key, score, terms }] where terms are the shared words contributing most to the score.
+// exclude is a Set of keys to leave out (the conversation itself is always left out).
+function relatedConversations(related, key, { exclude = new Set(), limit = 10, minScore = 0.05 } = {}) {
+  const source = related.conversations[key];
+  if (!source) return [];
+
+  const results = [];
+  Object.entries(related.conversations).forEach(([otherKey, other]) => {
+    if (otherKey === key || exclude.has(otherKey)) return;
+    const shared = [];
+    let score = 0;
+    Object.entries(source.vector).forEach(([term, weight]) => {
+      // Vectors are plain objects: words like `constructor` must not find inherited properties
+      if (!Object.prototype.hasOwnProperty.call(other.vector, term)) return;
+      const otherWeight = other.vector[term];
+      score += weight * otherWeight;
+      shared.push([term, weight * otherWeight]);
+    });
+    if (score < minScore) return;
+    results.push({
+      key: otherKey,
+      score: Math.round(score * 1000) / 1000,
+      terms: shared.sort((a, b) => b[1] - a[1]).slice(0, 5).map(([term]) => term)
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = {
+  loadRelatedIndex,
+  saveRelatedIndex,
+  updateRelatedIndex,
+  relatedConversations
+};
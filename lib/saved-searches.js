@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { parseSearchQuery } = require('./search-query');
+
+// Saved searches ("smart folders")
+// Named searches listed above the projects in the explorer sidebar, kept in a JSON file next to
+// history-index.json so every browser pointed at the viewer sees the same ones:
+//
+// [{ id, name, query, modes: { regex, case, word, code }, folder, dateFrom, dateTo, ignoreWarmup, createdAt }]
+//
+// folder is a project directory ('' for all projects); dateFrom and dateTo bound the conversation
+// date (ISO timestamps, or null). Relative dates belong in the query (after:last-week).
+
+const MAX_NAME_LENGTH = 80;
+
+class SavedSearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SavedSearchError';
+  }
+}
+
+async function loadSavedSearches(filePath) {
+  try {
+    const searches = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return Array.isArray(searches) ? searches : [];
+  } catch (e) {
+    // No saved searches yet
+    return [];
+  }
+}
+
+async function writeSavedSearches(filePath, searches) {
+  await fs.writeFile(filePath, JSON.stringify(searches, null, 2));
+}
+
+function isoDateOrNull(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new SavedSearchError(`${field} is not a date: "${value}"`);
+  return date.toISOString();
+}
+
+// A saved search from submitted fields. The query is parsed so an invalid one is refused
+// (with the SearchQueryError); a saved search needs a name and something to filter on.
+function savedSearchFromInput(input) {
+  const name = String(input.name || '').trim().slice(0, MAX_NAME_LENGTH);
+  if (!name) throw new SavedSearchError('A saved search needs a name');
+
+  const query = String(input.query || '').trim();
+  const inputModes = input.modes || {};
+  const modes = {
+    regex: inputModes.regex === true,
+    case: inputModes.case === true,
+    word: inputModes.word === true,
+    code: inputModes.code === true
+  };
+  parseSearchQuery(query, { regex: modes.regex, caseSensitive: modes.case, wholeWord: modes.word, code: modes.code });
+
+  const search = {
+    id: crypto.randomUUID(),
+    name,
+    query,
+    modes,
+    folder: String(input.folder || ''),
+    dateFrom: isoDateOrNull('dateFrom', input.dateFrom),
+    dateTo: isoDateOrNull('dateTo', input.dateTo),
+    ignoreWarmup: input.ignoreWarmup !== false,
+    createdAt: new Date().toISOString()
+  };
+  if (!search.query && !search.folder && !search.dateFrom && !search.dateTo) {
+    throw new SavedSearchError('Nothing to save: enter a search, pick a project or select a date range');
+  }
+  return search;
+}
+
+// Saved searches are changed one at a time, so two saves cannot overwrite each other
+let pendingChange = Promise.resolve();
+
+function changeSavedSearches(filePath, change) {
+  const result = pendingChange.then(async () => {
+    const searches = await loadSavedSearches(filePath);
+    const outcome = change(searches);
+    await writeSavedSearches(filePath, searches);
+    return outcome;
+  });
+  pendingChange = result.catch(() => {});
+  return result;
+}
+
+async function addSavedSearch(filePath, input) {
+  const search = savedSearchFromInput(input);
+  return changeSavedSearches(filePath, searches => {
+    searches.push(search);
+    return search;
+  });
+}
+
+// Returns whether a saved search with that id existed
+async function deleteSavedSearch(filePath, id) {
+  return changeSavedSearches(filePath, searches => {
+    const index = searches.findIndex(search => search.id === id);
+    if (index === -1) return false;
+    searches.splice(index, 1);
+    return true;
+  });
+}
+
+module.exports = {
+  SavedSearchError,
+  loadSavedSearches,
+  addSavedSearch,
+  deleteSavedSearch
+};
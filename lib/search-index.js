@@ -0,0 +1,542 @@
+const fs = require('fs').promises;
+const { readConversation, getTranscript, messageSearchText, modelsUsed } = require('./conversation-parser');
+const { escapeHtml } = require('./html');
+const { filesTouched } = require('./files-touched');
+const { branchesOf } = require('./session-metadata');
+const { codeBlocks } = require('./code-blocks');
+const { isFileEdit, editOperations } = require('./file-changes');
+const { RELATIVE_DATES, tokenize, isConversationTerm, isMessageTerm, codeLanguages, findMatches } = require('./search-query');
+
+// Full-text search index
+// An inverted index from terms to the transcript messages they occur in, kept in a JSON file
+// next to history-index.json. Each conversation file is re-indexed only when its size or
+// modification time changes, and conversations whose file is gone are dropped.
+//
+// {
+//   version,
+//   conversations: { "<projectDir>/<id>": { projectDir, id, mtime, size, messageCount, length, terms,
+//     firstTimestamp, lastTimestamp, cwds, models, branches, roles, tools, files, code } },
+//   terms: { term: { "<projectDir>/<id>": [[messageIndex, count], ...] } }
+// }
+// Message indices are transcript indices (the msg-N anchors), so results can open the message.
+// roles has one letter per message (u or a); tools, files and code map tool names, paths and code
+// languages to message indices.
+// Queries are parsed by search-query.js; field terms are matched against the stored metadata.
+
+// Bump when the stored format or tokenization changes, so old indexes are rebuilt
+const INDEX_VERSION = 4;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Query words also match longer terms they start with, at a lower weight than an exact match
+const PREFIX_WEIGHT = 0.5;
+
+const SNIPPET_CONTEXT = 60;
+// Lines of a code block shown around its first match
+const CODE_SNIPPET_LINES = 8;
+
+// Values per field offered by the search box autocomplete
+const MAX_SUGGESTIONS = 200;
+
+function emptyIndex() {
+  return { version: INDEX_VERSION, conversations: {}, terms: {} };
+}
+
+async function loadSearchIndex(indexPath) {
+  try {
+    const index = JSON.parse(await fs.readFile(indexPath, 'utf-8'));
+    return index.version === INDEX_VERSION ? index : emptyIndex();
+  } catch (e) {
+    // No index yet (or unreadable) - it is rebuilt from the conversation files
+    return emptyIndex();
+  }
+}
+
+async function saveSearchIndex(indexPath, index) {
+  await fs.writeFile(indexPath, JSON.stringify(index));
+}
+
+// Text indexed for a transcript message: its searchable text plus the output of its tool calls,
+// which is attached to the call rather than shown as a message of its own. File edits count once,
+// by path and by the text they replace and write, taken from the input rather than its JSON
+// (where the line breaks in code are escaped).
+function indexedText(message) {
+  const results = message.blocks
+    .filter(block => block.type === 'tool_use' && block.result)
+    .map(block => String(block.result.content || ''));
+  const blocks = message.blocks.map(block => isFileEdit(block) ? { ...block, input: { file_path: block.input.file_path } } : block);
+  const edited = message.blocks.filter(isFileEdit)
+    .flatMap(block => editOperations(block).flatMap(operation => [operation.oldString, operation.newString]));
+  return [messageSearchText({ ...message, blocks }), ...results, ...edited].filter(Boolean).join(' ');
+}
+
+// The code of a message searched in code mode, in the given languages (any when none are given)
+function codeText(message, languages) {
+  return codeBlocks(message)
+    .filter(block => languages.length === 0 || languages.includes(block.language))
+    .map(block => block.code)
+    .join('\n');
+}
+
+function removeConversation(index, key) {
+  const conversation = index.conversations[key];
+  if (!conversation) return;
+  conversation.terms.forEach(term => {
+    const postings = index.terms[term];
+    if (!postings) return;
+    delete postings[key];
+    if (Object.keys(postings).length === 0) delete index.terms[term];
+  });
+  delete index.conversations[key];
+}
+
+function addConversation(index, key, file, conversation) {
+  const transcript = getTranscript(conversation);
+  let length = 0;
+  const postings = new Map();
+  transcript.forEach((message, messageIndex) => {
+    const counts = new Map();
+    tokenize(indexedText(message)).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    counts.forEach((count, term) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([messageIndex, count]);
+      length += count;
+    });
+  });
+
+  postings.forEach((messages, term) => {
+    if (!Object.prototype.hasOwnProperty.call(index.terms, term)) index.terms[term] = {};
+    index.terms[term][key] = messages;
+  });
+  const tools = {};
+  transcript.forEach((message, messageIndex) => {
+    message.blocks.filter(block => block.type === 'tool_use').forEach(block => {
+      if (!Object.prototype.hasOwnProperty.call(tools, block.name)) tools[block.name] = [];
+      if (!tools[block.name].includes(messageIndex)) tools[block.name].push(messageIndex);
+    });
+  });
+  const files = {};
+  filesTouched(transcript).forEach(({ path, touches }) => {
+    files[path] = [...new Set(touches.map(touch => touch.messageIndex))];
+  });
+  const code = {};
+  transcript.forEach((message, messageIndex) => {
+    codeBlocks(message).forEach(block => {
+      if (!Object.prototype.hasOwnProperty.call(code, block.language)) code[block.language] = [];
+      if (!code[block.language].includes(messageIndex)) code[block.language].push(messageIndex);
+    });
+  });
+  const timestamps = conversation.messages.map(message => message.timestamp).filter(Boolean);
+
+  index.conversations[key] = {
+    projectDir: file.projectDir,
+    id: file.id,
+    mtime: file.mtime,
+    size: file.size,
+    messageCount: transcript.length,
+    length,
+    terms: [...postings.keys()],
+    firstTimestamp: timestamps[0] || null,
+    lastTimestamp: conversation.lastTimestamp || null,
+    cwds: conversation.metadata.cwds,
+    models: modelsUsed(conversation.messages),
+    branches: branchesOf(conversation.metadata),
+    roles: transcript.map(message => message.role === 'user' ? 'u' : 'a').join(''),
+    tools,
+    files,
+    code
+  };
+}
+
+// Bring the index up to date with the conversation files
+// (files: [{ projectDir, id, filePath, mtime, size }]); returns whether anything changed
+async function updateSearchIndex(index, files) {
+  let changed = false;
+  const current = new Set();
+
+  for (const file of files) {
+    const key = `${file.projectDir}/${file.id}`;
+    current.add(key);
+    const indexed = index.conversations[key];
+    if (indexed && indexed.mtime === file.mtime && indexed.size === file.size) continue;
+
+    removeConversation(index, key);
+    try {
+      addConversation(index, key, file, await readConversation(file.filePath));
+    } catch (error) {
+      console.error('Could not index', file.filePath, error.message);
+    }
+    changed = true;
+  }
+
+  Object.keys(index.conversations)
+    .filter(key => !current.has(key))
+    .forEach(key => {
+      removeConversation(index, key);
+      changed = true;
+    });
+
+  return changed;
+}
+
+// Index terms a query word matches, with their weight (only the word itself when exact)
+function expandWord(index, word, exact) {
+  const expansions = [];
+  if (Object.prototype.hasOwnProperty.call(index.terms, word)) expansions.push({ term: word, weight: 1 });
+  if (exact) return expansions;
+  Object.keys(index.terms).forEach(term => {
+    if (term !== word && term.startsWith(word)) expansions.push({ term, weight: PREFIX_WEIGHT });
+  });
+  return expansions;
+}
+
+// Messages containing a query word (or a longer word it starts with), per conversation:
+// Map of key to Map of messageIndex to weighted count
+function wordMessages(index, word, exact) {
+  const found = new Map();
+  expandWord(index, word, exact).forEach(({ term, weight }) => {
+    Object.entries(index.terms[term]).forEach(([key, messages]) => {
+      if (!found.has(key)) found.set(key, new Map());
+      const counts = found.get(key);
+      messages.forEach(([messageIndex, count]) => counts.set(messageIndex, (counts.get(messageIndex) || 0) + weight * count));
+    });
+  });
+  return found;
+}
+
+// Messages containing every word of a text term, per conversation (patterns are checked later).
+// null for a regular expression, which is checked against every message.
+function textTermMessages(index, term) {
+  let found = null;
+  term.words.forEach(word => {
+    const next = wordMessages(index, word, term.exact);
+    if (found) {
+      next.forEach((counts, key) => {
+        const previous = found.get(key);
+        if (!previous) return next.delete(key);
+        counts.forEach((count, messageIndex) => {
+          if (previous.has(messageIndex)) {
+            counts.set(messageIndex, count + previous.get(messageIndex));
+          } else {
+            counts.delete(messageIndex);
+          }
+        });
+        if (counts.size === 0) next.delete(key);
+      });
+    }
+    found = next;
+  });
+  return found;
+}
+
+// Whether a field term holds for a conversation (message fields: for message messageIndex)
+function fieldMatches(term, conversation, messageIndex) {
+  const value = term.value;
+  switch (term.field) {
+    case 'project':
+      return conversation.projectDir.toLowerCase().includes(value) ||
+        conversation.cwds.some(cwd => cwd.toLowerCase().includes(value));
+    case 'model':
+      return conversation.models.some(model => model.toLowerCase().includes(value));
+    case 'branch':
+      return conversation.branches.some(branch => branch.toLowerCase().includes(value));
+    case 'before':
+      return Boolean(conversation.firstTimestamp) && new Date(conversation.firstTimestamp) < value;
+    case 'after':
+      return Boolean(conversation.lastTimestamp) && new Date(conversation.lastTimestamp) >= value;
+    case 'role':
+      return conversation.roles[messageIndex] === value[0];
+    case 'tool':
+      return Object.entries(conversation.tools).some(([tool, messages]) =>
+        tool.toLowerCase() === value && messages.includes(messageIndex));
+    case 'file':
+      return Object.entries(conversation.files).some(([filePath, messages]) =>
+        filePath.toLowerCase().includes(value) && messages.includes(messageIndex));
+    case 'lang':
+      return Object.prototype.hasOwnProperty.call(conversation.code, value) && conversation.code[value].includes(messageIndex);
+    default:
+      return false;
+  }
+}
+
+// Clauses only about the conversation, clauses restricting the messages (role/tool/file), and
+// clauses with text, which must be found in those messages
+function clauseScope(clause) {
+  if (clause.alternatives.every(isConversationTerm)) return 'conversation';
+  if (clause.alternatives.every(term => isConversationTerm(term) || isMessageTerm(term))) return 'message';
+  return 'text';
+}
+
+// Non-empty matches of a global pattern in a text
+function countMatches(text, pattern) {
+  return findMatches(text, pattern).length;
+}
+
+// Position of the first match in a text, or -1
+function firstMatch(text, pattern) {
+  const matches = findMatches(text, pattern);
+  return matches.length > 0 ? matches[0][0] : -1;
+}
+
+// Conversations matching a parsed query (see search-query.js), best first:
+// { results: [{ key, projectDir, id, score, hits, messageIndices }], complete }. Text is ranked with BM25 over whole
+// conversations; messageIndices lists the matching messages, those matching the most clauses
+// first, then in transcript order. Without text, results are the most recent first and
+// messageIndices lists the messages allowed by role:, tool: and file: terms.
+// readTranscript(conversation) loads a transcript to check term patterns (phrases, case-sensitive,
+// whole-word and regular expression search). In code mode only messages with code are searched,
+// and text terms are checked against the code in the lang: languages.
+// Checking patterns can mean reading every transcript, so after timeLimit milliseconds the search
+// stops with the conversations found so far (complete is then false).
+async function searchConversations(index, query, { readTranscript, timeLimit = Infinity }) {
+  const clauses = query.clauses.map(clause => ({ ...clause, scope: clauseScope(clause) }));
+  if (clauses.length === 0) return { results: [], complete: true };
+  const deadline = Date.now() + timeLimit;
+  let complete = true;
+  const codeMode = Boolean(query.mode?.code);
+  const languages = codeLanguages(query);
+
+  const keys = Object.keys(index.conversations);
+  const averageLength = keys.reduce((sum, key) => sum + index.conversations[key].length, 0) / (keys.length || 1) || 1;
+
+  // Messages and inverse document frequency of every text term
+  const textTerms = new Map();
+  clauses.forEach(clause => clause.alternatives.filter(term => !term.field).forEach(term => {
+    const messages = textTermMessages(index, term);
+    const idf = messages ? Math.log(1 + (keys.length - messages.size + 0.5) / (messages.size + 0.5)) : 1;
+    textTerms.set(term, { messages, idf });
+  }));
+
+  const results = [];
+  for (const key of keys) {
+    if (Date.now() > deadline) {
+      complete = false;
+      break;
+    }
+    const conversation = index.conversations[key];
+    const conversationClauses = clauses.filter(clause => clause.scope === 'conversation');
+    if (conversationClauses.some(clause =>
+      clause.alternatives.some(term => fieldMatches(term, conversation, null)) === clause.negated)) continue;
+
+    let allowed = [...Array(conversation.messageCount).keys()];
+    if (codeMode) {
+      const withCode = new Set(Object.values(conversation.code).flat());
+      allowed = allowed.filter(messageIndex => withCode.has(messageIndex));
+    }
+    clauses.filter(clause => clause.scope === 'message').forEach(clause => {
+      allowed = allowed.filter(messageIndex =>
+        clause.alternatives.some(term => fieldMatches(term, conversation, messageIndex)) !== clause.negated);
+    });
+    const hasMessageFilter = codeMode || clauses.some(clause => clause.scope === 'message');
+    if (hasMessageFilter && allowed.length === 0) continue;
+    const allowedSet = new Set(allowed);
+
+    // Term patterns are checked against the message text, read once per conversation
+    let transcript = null;
+    const patternMatches = async (term, messageIndex) => {
+      if (!transcript) transcript = await readTranscript(conversation);
+      const message = transcript[messageIndex];
+      if (!message) return 0;
+      return countMatches(codeMode ? codeText(message, languages) : indexedText(message), term.pattern);
+    };
+
+    let matched = true;
+    let score = 0;
+    let hits = 0;
+    const matchedMessages = new Map();
+    for (const clause of clauses.filter(c => c.scope === 'text')) {
+      const messages = new Map();
+      let idf = 0;
+      for (const term of clause.alternatives) {
+        if (term.field) {
+          allowed.filter(messageIndex => fieldMatches(term, conversation, messageIndex))
+            .forEach(messageIndex => messages.set(messageIndex, messages.get(messageIndex) || 0));
+          continue;
+        }
+        const text = textTerms.get(term);
+        const candidates = text.messages ? text.messages.get(key) || [] : allowed.map(messageIndex => [messageIndex, 0]);
+        for (const [messageIndex, count] of candidates) {
+          if (!allowedSet.has(messageIndex)) continue;
+          const patternCount = term.pattern ? await patternMatches(term, messageIndex) : null;
+          if (patternCount === 0) continue;
+          // A regular expression has no index counts; its matches are counted instead
+          messages.set(messageIndex, (messages.get(messageIndex) || 0) + (text.messages ? count : patternCount));
+          idf = Math.max(idf, text.idf);
+        }
+      }
+
+      if (clause.negated ? messages.size > 0 : messages.size === 0) {
+        matched = false;
+        break;
+      }
+      if (clause.negated) continue;
+
+      const frequency = [...messages.values()].reduce((sum, count) => sum + count, 0);
+      const lengthNorm = 1 - B + B * conversation.length / averageLength;
+      score += idf * frequency * (K1 + 1) / (frequency + K1 * lengthNorm);
+      hits += Math.round(frequency);
+      messages.forEach((count, messageIndex) => matchedMessages.set(messageIndex, (matchedMessages.get(messageIndex) || 0) + 1));
+    }
+    if (!matched) continue;
+
+    const hasText = clauses.some(clause => clause.scope === 'text' && !clause.negated);
+    results.push({
+      key,
+      projectDir: conversation.projectDir,
+      id: conversation.id,
+      lastTimestamp: conversation.lastTimestamp,
+      score: Math.round(score * 1000) / 1000,
+      hits: hasText ? hits : hasMessageFilter ? allowed.length : 0,
+      messageIndices: hasText
+        ? [...matchedMessages.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]).map(([messageIndex]) => messageIndex)
+        : hasMessageFilter ? allowed : []
+    });
+  }
+
+  const ranked = results
+    .sort((a, b) => b.score - a.score || (b.lastTimestamp || '').localeCompare(a.lastTimestamp || '') || a.key.localeCompare(b.key))
+    .map(({ lastTimestamp, ...result }) => result);
+  return { results: ranked, complete };
+}
+
+// Values offered by the search box autocomplete for each field, most used first
+function searchSuggestions(index) {
+  const counts = { project: new Map(), tool: new Map(), file: new Map(), lang: new Map(), model: new Map(), branch: new Map() };
+  const add = (field, values) => values.forEach(value => counts[field].set(value, (counts[field].get(value) || 0) + 1));
+  Object.values(index.conversations).forEach(conversation => {
+    add('project', conversation.cwds);
+    add('tool', Object.keys(conversation.tools));
+    add('file', Object.keys(conversation.files));
+    add('lang', Object.keys(conversation.code).filter(language => language !== 'text'));
+    add('model', conversation.models);
+    add('branch', conversation.branches);
+  });
+
+  const dates = Object.keys(RELATIVE_DATES);
+  const suggestions = { role: ['user', 'assistant'], before: dates, after: dates };
+  Object.entries(counts).forEach(([field, values]) => {
+    suggestions[field] = [...values.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(([value]) => value);
+  });
+  return suggestions;
+}
+
+// Highlighted: words starting with a query word, and the patterns of the other text terms
+// (phrases, case-sensitive and whole-word terms, or the regular expression)
+function queryPattern(query) {
+  const terms = query.clauses
+    .filter(clause => !clause.negated)
+    .flatMap(clause => clause.alternatives.filter(term => !term.field));
+  if (query.mode?.regex) return terms[0]?.pattern || null;
+
+  const sources = terms.map(term => term.pattern
+    ? term.pattern.source
+    : `(?<![\\p{L}\\p{N}_])(?:${term.words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})[\\p{L}\\p{N}_]*`);
+  const alternatives = [...new Set(sources)].sort((a, b) => b.length - a.length);
+  return alternatives.length > 0 ? new RegExp(alternatives.join('|'), 'g' + (query.mode?.caseSensitive ? '' : 'i') + 'u') : null;
+}
+
+// Parts of a message a snippet can come from: what its author wrote, then each tool call (input
+// and output), so a snippet can tell whether the match is in the message or in a tool
+function snippetSources(message) {
+  const own = [];
+  const tools = [];
+  message.blocks.forEach(block => {
+    if (block.type === 'text' || block.type === 'system' || block.type === 'thinking') {
+      own.push(block.text);
+    } else if (block.type === 'tool_use') {
+      const output = block.result ? String(block.result.content || '') : '';
+      tools.push({ role: 'tool', tool: block.name, text: `${JSON.stringify(block.input)} ${output}` });
+    } else if (block.type === 'tool_result') {
+      tools.push({ role: 'tool', tool: null, text: String(block.content || '') });
+    }
+  });
+  return [{ role: message.role, tool: null, text: own.join(' ') }, ...tools]
+    .map(source => ({ ...source, text: String(source.text || '').replace(/\s+/g, ' ').trim() }))
+    .filter(source => source.text);
+}
+
+// Escaped text with the matches of a global pattern marked
+function highlightMatches(text, pattern) {
+  if (!pattern) return escapeHtml(text);
+  let html = '';
+  let last = 0;
+  findMatches(text, pattern).forEach(([offset, match]) => {
+    html += escapeHtml(text.slice(last, offset)) + `<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+// Highlighted excerpt around the first match in a message: { role, tool, html } where role is
+// user, assistant or tool (tool naming the tool when the match is in a tool call). Without a
+// match the excerpt is the start of the message.
+function messageSnippet(message, pattern) {
+  const sources = snippetSources(message);
+  if (sources.length === 0) return null;
+  const source = (pattern && sources.find(candidate => firstMatch(candidate.text, pattern) !== -1)) || sources[0];
+  const text = source.text;
+  const first = pattern ? firstMatch(text, pattern) : -1;
+
+  const start = Math.max(0, first - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, Math.max(first, 0) + SNIPPET_CONTEXT * 2);
+  const html = highlightMatches(text.slice(start, end), first === -1 ? null : pattern);
+  return {
+    role: source.role,
+    tool: source.tool,
+    html: (start > 0 ? '…' : '') + html + (end < text.length ? '…' : '')
+  };
+}
+
+// Highlighted lines of the first code block of a message (in the given languages) with a match:
+// { role, tool, language, path, html } where path is the file a Write or Edit call wrote (null for
+// a fenced block). Without a match the excerpt is the start of the first block.
+function codeSnippet(message, pattern, languages) {
+  const blocks = codeBlocks(message).filter(block => languages.length === 0 || languages.includes(block.language));
+  const block = (pattern && blocks.find(candidate => firstMatch(candidate.code, pattern) !== -1)) || blocks[0];
+  if (!block) return null;
+
+  const lines = block.code.replace(/\s+$/, '').split('\n');
+  const first = pattern ? firstMatch(block.code, pattern) : -1;
+  const matchLine = first === -1 ? 0 : block.code.slice(0, first).split('\n').length - 1;
+  const start = Math.max(0, Math.min(matchLine - 2, lines.length - CODE_SNIPPET_LINES));
+  const end = Math.min(lines.length, start + CODE_SNIPPET_LINES);
+  const html = highlightMatches(lines.slice(start, end).join('\n'), first === -1 ? null : pattern);
+  return {
+    role: block.tool ? 'tool' : message.role,
+    tool: block.tool,
+    language: block.language,
+    path: block.path,
+    html: (start > 0 ? '…\n' : '') + html + (end < lines.length ? '\n…' : '')
+  };
+}
+
+// Snippets for up to `max` matching messages of a transcript: [{ messageIndex, role, tool, html }]
+// (code snippets, with language and path, in code mode)
+function searchSnippets(transcript, messageIndices, query, { max = 3 } = {}) {
+  const pattern = queryPattern(query);
+  const languages = codeLanguages(query);
+  const snippets = [];
+  for (const messageIndex of messageIndices) {
+    if (snippets.length >= max) break;
+    const message = transcript[messageIndex];
+    if (!message) continue;
+    const snippet = query.mode?.code ? codeSnippet(message, pattern, languages) : messageSnippet(message, pattern);
+    if (snippet) snippets.push({ messageIndex, ...snippet });
+  }
+  return snippets;
+}
+
+module.exports = {
+  loadSearchIndex,
+  saveSearchIndex,
+  updateSearchIndex,
+  searchConversations,
+  searchSuggestions,
+  searchSnippets,
+  queryPattern
+};
@@ -0,0 +1,282 @@
+// Structured search queries
+// Words are ANDed; `OR` between two terms matches either; `-term` excludes; "quoted phrases"
+// must appear as written. `-a OR -b` excludes both; OR between an exclusion and an included term
+// is refused. Terms can be limited to a field:
+//   project:esp32  model:opus  branch:main  before:2026-01-01  after:last-week - the conversation
+//   role:user  tool:Bash  file:server.js  lang:sql                           - the message
+// A query parses into clauses that must all hold: { negated, alternatives: [term] } where a
+// term is { field: null, words, phrase, exact, pattern } for text or { field, value } (dates as
+// Date objects). Text terms with a pattern are checked against the message text.
+//
+// Search modes (?regex=1, ?case=1, ?word=1, ?code=1): in regex mode the query is one regular
+// expression, with field filters allowed before and after it (project:esp32 efuse_\w+ role:user);
+// case-sensitive and whole-word modes apply to every text term. Code mode matches text
+// terms only inside code blocks (see code-blocks.js), of the lang: languages when there are any.
+
+const vm = require('vm');
+const { normalizeLanguage } = require('./languages');
+
+const CONVERSATION_FIELDS = ['project', 'model', 'branch', 'before', 'after'];
+const MESSAGE_FIELDS = ['role', 'tool', 'file', 'lang'];
+
+// Field names with a short description, as offered by the search box autocomplete
+const QUERY_FIELDS = [
+  { field: 'project', description: 'Project path contains' },
+  { field: 'role', description: 'Messages by user or assistant' },
+  { field: 'tool', description: 'Messages calling a tool' },
+  { field: 'file', description: 'Messages touching a file path containing' },
+  { field: 'lang', description: 'Messages with code in a language (fence or file extension)' },
+  { field: 'model', description: 'Conversation used a model containing' },
+  { field: 'branch', description: 'Conversation was on a git branch containing' },
+  { field: 'before', description: 'Conversation started before a date (YYYY-MM-DD, last-week, 30d...)' },
+  { field: 'after', description: 'Conversation active on or after a date (YYYY-MM-DD, last-week, 30d...)' }
+];
+
+const ROLES = ['user', 'assistant'];
+
+// Longest regular expression accepted: every indexed message may be scanned with it
+const MAX_REGEX_LENGTH = 300;
+// Longest one pattern may take on one text. A regular expression that backtracks (like (a+)+$)
+// can take longer than the server should stall for; it is interrupted and reported instead.
+const MATCH_TIME_LIMIT = 1000;
+
+const TOKEN = /(-)?(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+// Words as stored in the search index
+const WORD = /[\p{L}\p{N}_]+/gu;
+const MIN_WORD_LENGTH = 2;
+const MAX_WORD_LENGTH = 40;
+
+class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+// Terms are keys of plain objects in the stored index, so __proto__ cannot be one
+function tokenize(text) {
+  return (String(text).toLowerCase().match(WORD) || [])
+    .filter(word => word.length >= MIN_WORD_LENGTH && word.length <= MAX_WORD_LENGTH && word !== '__proto__');
+}
+
+// Dates relative to today, so a saved search keeps meaning the same period: today, yesterday,
+// last-week/month/year, or a number of days, weeks, months or years ago (7d, 2w, 3m, 1y)
+const RELATIVE_DATES = {
+  'today': [0, 'd'],
+  'yesterday': [1, 'd'],
+  'last-week': [1, 'w'],
+  'last-month': [1, 'm'],
+  'last-year': [1, 'y']
+};
+
+function relativeDate(value, now) {
+  const match = value.toLowerCase().match(/^(\d+)([dwmy])$/);
+  const named = Object.prototype.hasOwnProperty.call(RELATIVE_DATES, value.toLowerCase()) ? RELATIVE_DATES[value.toLowerCase()] : null;
+  const [count, unit] = match ? [Number(match[1]), match[2]] : named || [];
+  if (unit === undefined) return null;
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (unit === 'd') date.setDate(date.getDate() - count);
+  if (unit === 'w') date.setDate(date.getDate() - count * 7);
+  if (unit === 'm') date.setMonth(date.getMonth() - count);
+  if (unit === 'y') date.setFullYear(date.getFullYear() - count);
+  return date;
+}
+
+// Start of a YYYY-MM or YYYY-MM-DD date or of a relative date (local time)
+function parseDate(field, value, now = new Date()) {
+  const relative = relativeDate(value, now);
+  if (relative) return relative;
+  const match = value.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3] || 1)) : null;
+  if (!date || isNaN(date) || date.getMonth() !== Number(match[2]) - 1) {
+    throw new SearchQueryError(`${field}: expects a date like 2026-01-31, 2026-01, last-week or 30d, not "${value}"`);
+  }
+  return date;
+}
+
+function searchModeFromParams(params) {
+  return {
+    regex: params.regex === '1',
+    caseSensitive: params.case === '1',
+    wholeWord: params.word === '1',
+    code: params.code === '1'
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Literal text as a pattern source: any run of whitespace matches any other, and the text must
+// start at a word boundary (and end at one in whole-word mode)
+function literalSource(text, { wholeWord = false } = {}) {
+  const source = text.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  return `(?<!${WORD_CHAR})${source}${wholeWord ? `(?!${WORD_CHAR})` : ''}`;
+}
+
+// Pattern matching a search term in the given mode (global, so it can be used to highlight).
+// Invalid regular expressions are reported as a SearchQueryError with the reason.
+function compileSearchPattern(text, mode = {}) {
+  const flags = 'g' + (mode.caseSensitive ? '' : 'i');
+  if (mode.regex) {
+    if (text.length > MAX_REGEX_LENGTH) {
+      throw new SearchQueryError(`Regular expressions are limited to ${MAX_REGEX_LENGTH} characters`);
+    }
+    try {
+      return new RegExp(text, flags);
+    } catch (error) {
+      throw new SearchQueryError(`Invalid regular expression: ${error.message.replace(/^Invalid regular expression: /, '')}`);
+    }
+  }
+  // Plain search finds the text anywhere, as before; whole-word search needs boundaries on both sides
+  const source = mode.wholeWord ? literalSource(text, mode) : escapeRegExp(text);
+  return new RegExp(source, flags + 'u');
+}
+
+// Matching runs as a script with a timeout, which V8 can interrupt in the middle of a match
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('Array.from(text.matchAll(pattern), match => [match.index, match[0]])');
+
+// Non-empty matches of a global pattern in a text, as [[index, match], ...]. Every search pattern
+// is run through here; one taking longer than MATCH_TIME_LIMIT throws a SearchQueryError.
+function findMatches(text, pattern) {
+  matchContext.text = String(text);
+  matchContext.pattern = pattern;
+  try {
+    return matchScript.runInContext(matchContext, { timeout: MATCH_TIME_LIMIT }).filter(([, match]) => match);
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    throw new SearchQueryError('The search pattern takes too long to match (nested repetition like (a+)+ backtracks); simplify it');
+  } finally {
+    matchContext.text = null;
+    matchContext.pattern = null;
+  }
+}
+
+// A regex mode query split into its field filters, as [{ negated, field, value }], and the
+// expression between them. Only known fields at the start or end count, so the expression can
+// itself contain a colon (https?://).
+const LEADING_FILTER = /^\s*(-?)([a-zA-Z]+):(\S+)(?:\s+|$)/;
+const TRAILING_FILTER = /(?:^|\s+)(-?)([a-zA-Z]+):(\S+)\s*$/;
+
+function splitRegexQuery(text) {
+  const isField = field => CONVERSATION_FIELDS.concat(MESSAGE_FIELDS).includes(field.toLowerCase());
+  const filters = [];
+  let expression = String(text);
+  let match;
+  while ((match = expression.match(LEADING_FILTER)) && isField(match[2])) {
+    filters.push({ negated: Boolean(match[1]), field: match[2], value: match[3] });
+    expression = expression.slice(match[0].length);
+  }
+  while ((match = expression.match(TRAILING_FILTER)) && isField(match[2])) {
+    filters.push({ negated: Boolean(match[1]), field: match[2], value: match[3] });
+    expression = expression.slice(0, match.index);
+  }
+  return { filters, expression: expression.trim() };
+}
+
+// One term of a query, or null when there is nothing to match (e.g. a field without a value yet)
+function parseTerm(field, value, quoted, mode) {
+  if (field && CONVERSATION_FIELDS.concat(MESSAGE_FIELDS).includes(field.toLowerCase())) {
+    field = field.toLowerCase();
+    if (!value) return null;
+    if (field === 'before' || field === 'after') return { field, value: parseDate(field, value) };
+    if (field === 'role' && !ROLES.includes(value.toLowerCase())) {
+      throw new SearchQueryError(`role: expects ${ROLES.join(' or ')}, not "${value}"`);
+    }
+    if (field === 'lang') return { field, value: normalizeLanguage(value) };
+    return { field, value: value.toLowerCase() };
+  }
+
+  // Unknown prefixes (a URL, a drive letter...) are part of the text
+  const text = field ? `${field}:${value}` : value;
+  const words = tokenize(text);
+  if (words.length === 0) return null;
+  // Punctuation inside an unquoted term (server.js, foo-bar) keeps its words together like a phrase
+  const phrase = quoted || words.length > 1;
+  const term = { field: null, words, phrase, exact: mode.wholeWord };
+  // Code mode checks every term against the code itself, which the index does not tell apart
+  if (phrase || mode.caseSensitive || mode.wholeWord || mode.code) {
+    term.pattern = new RegExp(literalSource(text, mode), 'g' + (mode.caseSensitive ? '' : 'i') + 'u');
+  }
+  return term;
+}
+
+function parseSearchQuery(text, mode = {}) {
+  const clauses = [];
+  let joinNext = false;
+  let previousRaw = '';
+
+  if (mode.regex) {
+    const { filters, expression } = splitRegexQuery(text);
+    filters.forEach(({ negated, field, value }) => {
+      const term = parseTerm(field, value, false, mode);
+      if (term) clauses.push({ negated, alternatives: [term] });
+    });
+    if (expression) {
+      const term = { field: null, words: [], phrase: false, exact: false, pattern: compileSearchPattern(expression, mode) };
+      clauses.push({ negated: false, alternatives: [term] });
+    }
+    return { clauses, mode };
+  }
+
+  for (const match of String(text).matchAll(TOKEN)) {
+    const [raw, minus, field, quotedValue, value] = match;
+    if (raw === 'OR') {
+      joinNext = clauses.length > 0;
+      continue;
+    }
+
+    const term = parseTerm(field, quotedValue !== undefined ? quotedValue : value, quotedValue !== undefined, mode);
+    if (!term) continue;
+    const negated = Boolean(minus);
+    const previous = clauses[clauses.length - 1];
+    if (joinNext) {
+      // A clause is excluded as a whole, so OR cannot join an exclusion with an included term
+      if (previous.negated !== negated) {
+        throw new SearchQueryError(`OR joins two included or two excluded terms, not "${previousRaw} OR ${raw}"`);
+      }
+      previous.alternatives.push(term);
+    } else {
+      clauses.push({ negated, alternatives: [term] });
+    }
+    previousRaw = raw;
+    joinNext = false;
+  }
+
+  return { clauses, mode };
+}
+
+function isConversationTerm(term) {
+  return CONVERSATION_FIELDS.includes(term.field);
+}
+
+function isMessageTerm(term) {
+  return MESSAGE_FIELDS.includes(term.field);
+}
+
+// Languages code blocks must be in for code mode: those of the lang: terms that are not excluded
+function codeLanguages(query) {
+  return [...new Set(query.clauses
+    .filter(clause => !clause.negated)
+    .flatMap(clause => clause.alternatives.filter(term => term.field === 'lang').map(term => term.value)))];
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  RELATIVE_DATES,
+  SearchQueryError,
+  parseSearchQuery,
+  searchModeFromParams,
+  compileSearchPattern,
+  findMatches,
+  splitRegexQuery,
+  literalSource,
+  tokenize,
+  isConversationTerm,
+  isMessageTerm,
+  codeLanguages
+};
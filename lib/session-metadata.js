@@ -0,0 +1,46 @@
+// Session metadata recorded on every JSONL entry: git branch, working directory and
+// Claude Code version. Branches are kept as a list of changes, since a session can
+// switch branches (or be resumed on another one) part way through.
+
+function emptyMetadata() {
+  return { branchChanges: [], cwds: [], versions: [] };
+}
+
+// Add one raw JSONL entry (line = its line number, as counted by forEachEntry)
+function collectMetadata(metadata, entry, line) {
+  // Claude Code records an empty gitBranch outside git repositories
+  if (entry.gitBranch) {
+    const last = metadata.branchChanges[metadata.branchChanges.length - 1];
+    if (!last || last.branch !== entry.gitBranch) {
+      metadata.branchChanges.push({ branch: entry.gitBranch, line, timestamp: entry.timestamp || null });
+    }
+  }
+  if (entry.cwd && !metadata.cwds.includes(entry.cwd)) {
+    metadata.cwds.push(entry.cwd);
+  }
+  if (entry.version && !metadata.versions.includes(entry.version)) {
+    metadata.versions.push(entry.version);
+  }
+}
+
+// Distinct branches in order of first use
+function branchesOf(metadata) {
+  return [...new Set(metadata.branchChanges.map(change => change.branch))];
+}
+
+// Branch changes with the transcript message each one happened at: the first transcript
+// message at or after the entry that recorded the new branch (null when none follows).
+// transcriptLines[i] is the JSONL line of transcript message i.
+function branchChangesWithMessages(metadata, transcriptLines) {
+  return metadata.branchChanges.map(({ branch, line, timestamp }) => {
+    const messageIndex = transcriptLines.findIndex(transcriptLine => transcriptLine >= line);
+    return { branch, timestamp, messageIndex: messageIndex === -1 ? null : messageIndex };
+  });
+}
+
+module.exports = {
+  emptyMetadata,
+  collectMetadata,
+  branchesOf,
+  branchChangesWithMessages
+};
@@ -0,0 +1,83 @@
+// Continued sessions
+// Resuming or compacting a session starts a new file whose `summary` entries carry the uuid
+// (leafUuid) of the last message they summarize, which lives in the earlier session's file.
+// Following those links chains sessions into one logical thread.
+
+function byRecency(a, b) {
+  return (b.lastMessageTimestamp || b.date || '').localeCompare(a.lastMessageTimestamp || a.date || '');
+}
+
+// Link chats from one project directory. Each chat needs id, leafUuids (from its summaries),
+// uuids (Set of its message uuids) and lastMessageTimestamp.
+// Sets continuedFrom (the session it continues, or null) and continuedIn (sessions continuing it).
+function linkContinuations(chats) {
+  const owners = new Map();
+  chats.forEach(chat => {
+    chat.continuedFrom = null;
+    chat.continuedIn = [];
+    chat.uuids.forEach(uuid => {
+      if (!owners.has(uuid)) owners.set(uuid, []);
+      owners.get(uuid).push(chat);
+    });
+  });
+
+  chats.forEach(chat => {
+    const candidates = new Set();
+    chat.leafUuids.forEach(leafUuid => {
+      (owners.get(leafUuid) || []).forEach(owner => {
+        if (owner !== chat) candidates.add(owner);
+      });
+    });
+
+    // A resumed file may repeat earlier sessions' messages, so several files can hold the
+    // summarized message: the most recent one that is not newer than this chat continues it
+    const previous = [...candidates]
+      .filter(candidate => !chat.lastMessageTimestamp || !candidate.lastMessageTimestamp ||
+        candidate.lastMessageTimestamp <= chat.lastMessageTimestamp)
+      .sort(byRecency)[0];
+    if (previous) {
+      chat.continuedFrom = previous.id;
+      previous.continuedIn.push(chat.id);
+    }
+  });
+}
+
+// Ids of the sessions in the thread of chat `id`, oldest first: every session it continues,
+// then the sessions continuing it (the most recent one where a session was continued twice).
+// byId maps chat ids to { continuedFrom, continuedIn, lastMessageTimestamp or date }.
+function threadSessionIds(byId, id) {
+  const seen = new Set([id]);
+  const earlier = [];
+  for (let previous = byId.get(id)?.continuedFrom; previous && byId.has(previous) && !seen.has(previous);
+    previous = byId.get(previous).continuedFrom) {
+    seen.add(previous);
+    earlier.unshift(previous);
+  }
+
+  const later = [];
+  let current = byId.get(id);
+  while (current) {
+    const next = (current.continuedIn || [])
+      .filter(nextId => byId.has(nextId) && !seen.has(nextId))
+      .map(nextId => ({ id: nextId, ...byId.get(nextId) }))
+      .sort(byRecency)[0];
+    if (!next) break;
+    seen.add(next.id);
+    later.push(next.id);
+    current = byId.get(next.id);
+  }
+
+  return [...earlier, id, ...later];
+}
+
+// Whether a chat is listed on its own in the explorer: sub-agent runs are nested under their
+// parent and continued sessions under the latest session of their thread
+function isListedChat(chat) {
+  return !chat.parentId && !(chat.continuedIn && chat.continuedIn.length > 0);
+}
+
+module.exports = {
+  linkContinuations,
+  threadSessionIds,
+  isListedChat
+};
@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { forEachEntry, normalizeEntry, messageText } = require('./conversation-parser');
+
+// Sub-agent (sidechain) detection and linking
+// Claude Code runs sub-agents through the Task tool and records each run as a sidechain:
+// an `agent-*.jsonl` file whose entries carry `isSidechain: true`. The sidechain's first
+// user message is the Task call's prompt, which is how runs are matched to their parent.
+
+// Tool names that spawn sub-agents
+const SUB_AGENT_TOOLS = new Set(['Task', 'Agent']);
+
+function isSubAgentCall(block) {
+  return block.type === 'tool_use' &&
+    SUB_AGENT_TOOLS.has(block.name) &&
+    typeof block.input?.prompt === 'string';
+}
+
+function isSidechainFile(filename) {
+  return /^agent-.*\.jsonl$/.test(filename);
+}
+
+// Whether a parsed conversation is a sidechain run
+function isSidechainConversation(filename, conversation) {
+  return isSidechainFile(filename) || conversation.messages[0]?.isSidechain === true;
+}
+
+// Sub-agent calls in a transcript, with the transcript index of the calling message
+function subAgentCalls(transcript) {
+  const calls = [];
+  transcript.forEach((message, index) => {
+    message.blocks.filter(isSubAgentCall).forEach(block => {
+      calls.push({
+        toolUseId: block.id,
+        prompt: block.input.prompt.trim(),
+        description: block.input.description || '',
+        messageIndex: index
+      });
+    });
+  });
+  return calls;
+}
+
+// Match sidechain chats to the Task calls that spawned them (chats from one project directory).
+// Sets parentId/parentToolUseId/taskDescription on sub-agents and a subAgents list on parents.
+function linkSidechains(chats) {
+  const parents = chats.filter(chat => !chat.isSidechain && chat.subAgentCalls.length > 0);
+
+  chats.filter(chat => chat.isSidechain && chat.sidechainPrompt).forEach(agent => {
+    // Prefer the session the sidechain was recorded under, then any session in the project
+    const candidates = [
+      ...parents.filter(parent => parent.id === agent.sessionId),
+      ...parents.filter(parent => parent.id !== agent.sessionId)
+    ];
+
+    for (const parent of candidates) {
+      const call = parent.subAgentCalls.find(c => c.prompt === agent.sidechainPrompt && !c.agentId);
+      if (call) {
+        call.agentId = agent.id;
+        agent.parentId = parent.id;
+        agent.parentToolUseId = call.toolUseId;
+        agent.taskDescription = call.description;
+        parent.subAgents = parent.subAgents || [];
+        parent.subAgents.push(agent);
+        return;
+      }
+    }
+  });
+}
+
+// Read just enough of a file to tell whether it is a sidechain and what its prompt was
+async function readSidechainInfo(filePath) {
+  const info = { isSidechain: isSidechainFile(path.basename(filePath)), prompt: null, sessionId: null };
+
+  await forEachEntry(filePath, (entry, line) => {
+    if (entry.sessionId && !info.sessionId) {
+      info.sessionId = entry.sessionId;
+    }
+    const message = normalizeEntry(entry, line);
+    if (!message || message.role !== 'user') return;
+
+    info.isSidechain = info.isSidechain || message.isSidechain;
+    info.prompt = messageText(message).trim();
+    return false;
+  });
+
+  return info;
+}
+
+// Find the sidechain file spawned by a Task call in a parent session
+async function findSubAgentChat(projectPath, parentId, prompt) {
+  const files = await fs.readdir(projectPath);
+  let fallback = null;
+
+  for (const filename of files) {
+    if (!filename.endsWith('.jsonl') || filename === `${parentId}.jsonl`) continue;
+
+    const info = await readSidechainInfo(path.join(projectPath, filename));
+    if (!info.isSidechain || info.prompt !== prompt.trim()) continue;
+
+    const chatId = filename.replace('.jsonl', '');
+    if (info.sessionId === parentId) {
+      return chatId;
+    }
+    fallback = fallback || chatId;
+  }
+
+  return fallback;
+}
+
+module.exports = {
+  isSubAgentCall,
+  isSidechainConversation,
+  subAgentCalls,
+  linkSidechains,
+  findSubAgentChat
+};
@@ -0,0 +1,67 @@
+// TodoWrite task lists
+// Every TodoWrite call sends the whole list, so the timeline is built by comparing each
+// call with the one before it. Items are matched by id when present, otherwise by text.
+
+const TODO_STATUSES = ['pending', 'in_progress', 'completed'];
+
+function isTodoWrite(block) {
+  return block.type === 'tool_use' && block.name === 'TodoWrite' && Array.isArray(block.input?.todos);
+}
+
+// Items of a TodoWrite call as [{ key, content, status, activeForm }]
+function todoItems(block) {
+  return block.input.todos
+    .filter(todo => todo && typeof todo.content === 'string')
+    .map(todo => ({
+      key: todo.id ? `id:${todo.id}` : `content:${todo.content}`,
+      content: todo.content,
+      status: TODO_STATUSES.includes(todo.status) ? todo.status : 'pending',
+      activeForm: typeof todo.activeForm === 'string' ? todo.activeForm : null
+    }));
+}
+
+// Differences between two lists: [{ content, from, to }] where from/to is a status or null
+// (null from = added, null to = removed)
+function todoChanges(previous, current) {
+  const before = new Map(previous.map(item => [item.key, item]));
+  const after = new Map(current.map(item => [item.key, item]));
+  const changes = [];
+
+  current.forEach(item => {
+    const old = before.get(item.key);
+    if (!old || old.status !== item.status) {
+      changes.push({ content: item.content, from: old ? old.status : null, to: item.status });
+    }
+  });
+  previous.forEach(item => {
+    if (!after.has(item.key)) {
+      changes.push({ content: item.content, from: item.status, to: null });
+    }
+  });
+  return changes;
+}
+
+// How the todo list changed over a transcript, one step per TodoWrite call that changed it:
+// [{ messageIndex, toolUseId, timestamp, todos, changes }]
+function todoTimeline(transcript) {
+  const steps = [];
+  let previous = [];
+
+  transcript.forEach((message, messageIndex) => {
+    message.blocks.filter(isTodoWrite).forEach(block => {
+      const todos = todoItems(block);
+      const changes = todoChanges(previous, todos);
+      previous = todos;
+      if (changes.length === 0) return;
+      steps.push({ messageIndex, toolUseId: block.id, timestamp: message.timestamp, todos, changes });
+    });
+  });
+
+  return steps;
+}
+
+module.exports = {
+  isTodoWrite,
+  todoItems,
+  todoTimeline
+};
@@ -0,0 +1,179 @@
+const fs = require('fs').promises;
+
+// Token usage totals and cost estimates
+// Claude Code writes one API response as several assistant entries (one per content block)
+// that repeat the same message id and usage, so usage is counted once per message id.
+
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens'];
+
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0 };
+}
+
+// Normalize an API usage object ({ input_tokens, output_tokens, ... })
+function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0
+  };
+}
+
+function addUsage(total, usage) {
+  USAGE_FIELDS.forEach(field => {
+    total[field] += usage[field] || 0;
+  });
+  return total;
+}
+
+function totalTokens(usage) {
+  return usage ? USAGE_FIELDS.reduce((sum, field) => sum + (usage[field] || 0), 0) : 0;
+}
+
+// Usage of every assistant message in a conversation, including abandoned branches
+// (they were billed too): the four token totals plus the same totals per model
+function sumUsage(messages) {
+  const responses = new Map();
+  messages.forEach(message => {
+    if (message.role !== 'assistant' || totalTokens(message.usage) === 0) return;
+    // Later entries of a response carry the final output token count
+    responses.set(message.messageId || `line:${message.line}`, message);
+  });
+
+  const total = { ...emptyUsage(), byModel: {} };
+  responses.forEach(message => {
+    const model = message.model || 'unknown';
+    addUsage(total, message.usage);
+    total.byModel[model] = addUsage(total.byModel[model] || emptyUsage(), message.usage);
+  });
+  return total;
+}
+
+// Pricing table: { currency, models: { "<model id prefix>": { input, output, cacheWrite, cacheRead } } }
+// with prices per million tokens. Read on every use so edits apply without a restart.
+async function loadPricing(filePath) {
+  try {
+    const pricing = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return { currency: pricing.currency || 'USD', models: pricing.models || {} };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading pricing table:', error.message);
+    }
+    return { currency: 'USD', models: {} };
+  }
+}
+
+// Price entry for a model id: the longest table key the id starts with
+function priceFor(model, pricing) {
+  const key = Object.keys(pricing.models)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? pricing.models[key] : null;
+}
+
+function modelCost(model, usage, pricing) {
+  const price = priceFor(model, pricing);
+  if (!price) return null;
+  return (
+    usage.inputTokens * (price.input || 0) +
+    usage.outputTokens * (price.output || 0) +
+    usage.cacheCreationTokens * (price.cacheWrite || 0) +
+    usage.cacheReadTokens * (price.cacheRead || 0)
+  ) / 1e6;
+}
+
+// Estimated cost of a usage total; models missing from the pricing table are listed, not guessed
+function estimateCost(usage, pricing) {
+  let cost = 0;
+  const unpricedModels = [];
+  Object.entries(usage?.byModel || {}).forEach(([model, modelUsage]) => {
+    const value = modelCost(model, modelUsage, pricing);
+    if (value === null) {
+      unpricedModels.push(model);
+    } else {
+      cost += value;
+    }
+  });
+  return { cost, unpricedModels };
+}
+
+// Add one model's usage to a named row of a breakdown
+function addToGroup(groups, name, threadId, usage, cost) {
+  if (!groups.has(name)) {
+    groups.set(name, { name, usage: emptyUsage(), cost: 0, threadIds: new Set() });
+  }
+  const group = groups.get(name);
+  addUsage(group.usage, usage);
+  group.cost += cost || 0;
+  group.threadIds.add(threadId);
+}
+
+function groupRows(groups) {
+  return [...groups.values()].map(({ threadIds, ...row }) => ({
+    ...row,
+    totalTokens: totalTokens(row.usage),
+    conversations: threadIds.size
+  }));
+}
+
+// Usage and cost totals of history index threads ({ id, project, date, usage }) whose
+// date falls in [from, to], broken down by project, model and month
+function buildUsageReport(threads, pricing, { from = null, to = null } = {}) {
+  const byProject = new Map();
+  const byModel = new Map();
+  const byMonth = new Map();
+  const total = new Map();
+  const unpriced = new Set();
+
+  threads.forEach(thread => {
+    if (!thread.usage) return;
+    const date = new Date(thread.lastMessageTimestamp || thread.date);
+    if ((from && date < from) || (to && date > to)) return;
+
+    const month = date.toISOString().substring(0, 7);
+    Object.entries(thread.usage.byModel || {}).forEach(([model, usage]) => {
+      const cost = modelCost(model, usage, pricing);
+      if (cost === null) unpriced.add(model);
+
+      addToGroup(total, 'total', thread.id, usage, cost);
+      addToGroup(byProject, thread.project, thread.id, usage, cost);
+      addToGroup(byModel, model, thread.id, usage, cost);
+      addToGroup(byMonth, month, thread.id, usage, cost);
+    });
+  });
+
+  const byCost = (a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens;
+  return {
+    currency: pricing.currency,
+    totals: groupRows(total)[0] || { name: 'total', usage: emptyUsage(), cost: 0, totalTokens: 0, conversations: 0 },
+    byProject: groupRows(byProject).sort(byCost),
+    byModel: groupRows(byModel).sort(byCost),
+    byMonth: groupRows(byMonth).sort((a, b) => a.name.localeCompare(b.name)),
+    unpricedModels: [...unpriced].sort()
+  };
+}
+
+// Compact token count for cards and headers (950, 12.3k, 4.1M)
+function formatTokens(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count);
+}
+
+function formatCost(cost, currency = 'USD') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: cost < 1 ? 3 : 2 })
+    .format(cost);
+}
+
+module.exports = {
+  normalizeUsage,
+  sumUsage,
+  totalTokens,
+  loadPricing,
+  estimateCost,
+  buildUsageReport,
+  formatTokens,
+  formatCost
+};
@@ -11,7 +11,28 @@
     let selectedChatId = null;
     let chatCache = {};
     let ignoreWarmup = true;
+    let modelFilter = '';
+    let branchFilter = '';
     let folderMatchCounts = {}; // Track folder matches during search
+    let searchResults = null; // Server search results for searchTerm, keyed by "projectDir/chatId", with their rank
+    let searchMode = { regex: false, case: false, word: false, code: false }; // Search mode toggles, sent as ?regex=1 &case=1 &word=1 &code=1
+    let searchRequest = 0; // Latest search request, so late responses for older terms are ignored
+    let cardsRanked = false; // Whether cards are currently moved into the ranked results group
+    let searchSuggestions = null; // Query fields and known values for the autocomplete, loaded on first use
+    let suggestionItems = []; // Shown suggestions and the query term they would replace
+    let suggestionTerm = null;
+    let activeSuggestion = -1;
+    let savedSearches = []; // Smart folders, each with its match count once counted (count, or error)
+    let smartFolderIndex = null; // Search index generation the smart folder counts were worked out on
+    let smartFolderCounting = null;
+    let smartFolderRecount = false; // Set when the counts went stale while being worked out
+    let activeSmartFolder = null; // Id of the smart folder whose filters are applied
+    let detailPage = null; // Loaded message window of the open chat: { projectDir, chatId, start, end, total, leafUuid }
+    let detailPageLoading = false;
+    let detailSearch = null; // Search hits in the open chat: { key, messages: [{ index, hits }], total, current, currentHit }
+
+    const PAGE_SIZE = 50;
+    const SCROLL_LOAD_THRESHOLD = 300; // px from top/bottom that triggers loading more
 
     // DOM Elements
     const sidebar = document.getElementById('sidebar');
@@ -20,6 +41,19 @@
     const searchInput = document.getElementById('search-input');
     const visibleCount = document.getElementById('visible-count');
     const emptyState = document.getElementById('empty-state');
+    const searchResultsGroup = document.getElementById('search-results-group');
+    const searchResultsList = document.getElementById('search-results-list');
+    const searchResultsCount = document.getElementById('search-results-count');
+    const searchSuggestionsList = document.getElementById('search-suggestions');
+    const searchError = document.getElementById('search-error');
+    const searchModeButtons = document.querySelectorAll('[data-search-mode]');
+    const smartFolderList = document.getElementById('smart-folder-list');
+    // Loads the snippets of result cards that came without them once they scroll into view
+    const snippetObserver = 'IntersectionObserver' in window
+        ? new IntersectionObserver(loadCardSnippets, { rootMargin: '200px' })
+        : null;
+    // Month group each card belongs to, in page order, to put cards back after a search
+    const cardHomes = new Map(Array.from(document.querySelectorAll('.chat-card')).map(card => [card, card.parentElement]));
 
     // Detail Panel Elements
     const detailEmpty = document.getElementById('detail-empty');
@@ -30,7 +64,33 @@
     const detailCount = document.getElementById('detail-count');
     const detailLink = document.getElementById('detail-link');
     const detailDownload = document.getElementById('detail-download');
+    const detailUsage = document.getElementById('detail-usage');
+    const detailGit = document.getElementById('detail-git');
+    const detailThread = document.getElementById('detail-thread');
+    const detailDownloadImages = document.getElementById('detail-download-images');
+    const detailSearchNav = document.getElementById('detail-search');
+    const detailSearchCount = document.getElementById('detail-search-count');
     const detailMessages = document.getElementById('detail-messages');
+    // Sections above the detail messages, loaded on first use: changed files, the todo list history
+    // and related conversations. Sections answered with JSON data have a render function.
+    const detailSections = {
+        changes: {
+            element: document.getElementById('detail-changes'),
+            endpoint: 'changes',
+            empty: 'No files changed in this chat'
+        },
+        tasks: {
+            element: document.getElementById('detail-tasks'),
+            endpoint: 'tasks',
+            empty: 'No todo list in this chat'
+        },
+        related: {
+            element: document.getElementById('detail-related'),
+            endpoint: 'related',
+            empty: 'No related conversations found',
+            render: renderRelatedConversations
+        }
+    };
 
     // Initialize
     function init() {
@@ -40,6 +100,11 @@
         const urlParams = new URLSearchParams(window.location.search);
         const folderParam = urlParams.get('folder');
         const chatParam = urlParams.get('chat');
+        const branchParam = urlParams.get('branch');
+
+        if (branchParam) {
+            setBranchFilter(branchParam, false);
+        }
 
         if (folderParam) {
             selectFolder(folderParam, false);
@@ -55,19 +120,58 @@
         // Set up search with debounce
         if (searchInput) {
             searchInput.addEventListener('input', debounce(handleSearch, 200));
+            searchInput.addEventListener('input', updateSuggestions);
+            searchInput.addEventListener('input', clearActiveSmartFolder);
+            searchInput.addEventListener('blur', hideSuggestions);
             searchInput.addEventListener('keydown', (e) => {
+                if (handleSuggestionKey(e)) return;
                 if (e.key === 'Escape') {
                     searchInput.value = '';
                     handleSearch();
+                } else if (e.key === 'Enter' && detailSearch) {
+                    // Enter / Shift+Enter step through the hits in the open chat
+                    e.preventDefault();
+                    goToDetailHit((detailSearch.current || 0) + (e.shiftKey ? -1 : 1));
                 }
             });
         }
 
+        // Mode toggles re-run the search
+        searchModeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const mode = button.dataset.searchMode;
+                searchMode[mode] = !searchMode[mode];
+                button.classList.toggle('active', searchMode[mode]);
+                handleSearch();
+                searchInput?.focus();
+            });
+        });
+
+        // Load more messages as the detail panel scrolls
+        if (detailMessages) {
+            detailMessages.addEventListener('scroll', debounce(handleDetailScroll, 100));
+        }
+
+        // Changed-file and task links jump to the message, loading it first if needed
+        Object.values(detailSections).forEach(({ element }) => {
+            if (!element) return;
+            element.addEventListener('click', (e) => {
+                const link = e.target.closest('[data-message-index]');
+                if (!link) return;
+                e.preventDefault();
+                jumpToMessage(parseInt(link.dataset.messageIndex, 10));
+            });
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
                 e.preventDefault();
                 searchInput?.focus();
+            } else if (detailSearch && e.altKey && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+                // Same shortcuts as the chat page's hit navigator
+                e.preventDefault();
+                goToDetailHit((detailSearch.current || 0) + (e.key === 'ArrowDown' ? 1 : -1));
             }
         });
 
@@ -82,6 +186,8 @@
 
         // Apply initial filters (including warmup filter)
         filterChats();
+
+        loadSmartFolders();
     }
 
     // Theme Management
@@ -132,9 +238,191 @@
         };
     }
 
+    // Smart folders: saved searches with their project, date range and warmup filter, stored on
+    // the server. Each one's count is worked out by running its search and filtering the cards,
+    // all at once, and again when a search reports that the index has changed since.
+    async function loadSmartFolders() {
+        if (!smartFolderList) return;
+        try {
+            const response = await fetch('/api/saved-searches');
+            if (!response.ok) throw new Error('Failed to load saved searches');
+            savedSearches = (await response.json()).searches;
+        } catch (error) {
+            console.error('Error loading saved searches:', error);
+            return;
+        }
+        renderSmartFolders();
+        countSmartFolders();
+    }
+
+    // One search at a time; a call during a count (the index changed, or a folder was saved) makes
+    // the running count start over once it is through, so its promise covers the latest state
+    function countSmartFolders() {
+        if (smartFolderCounting) {
+            smartFolderRecount = true;
+            return smartFolderCounting;
+        }
+        smartFolderCounting = (async () => {
+            do {
+                smartFolderRecount = false;
+                for (const search of savedSearches) await countSmartFolder(search);
+            } while (smartFolderRecount);
+        })().finally(() => {
+            smartFolderCounting = null;
+        });
+        return smartFolderCounting;
+    }
+
+    // Searches say which index generation they ran on; only counts of saved queries depend on it
+    function noteIndexGeneration(generation) {
+        if (generation === undefined || generation === smartFolderIndex) return;
+        const stale = smartFolderIndex !== null;
+        smartFolderIndex = generation;
+        if (stale && savedSearches.some(search => search.query)) countSmartFolders();
+    }
+
+    async function countSmartFolder(search) {
+        const filters = {
+            folder: search.folder,
+            term: search.query,
+            modes: search.modes || {},
+            results: null,
+            dateStart: search.dateFrom ? new Date(search.dateFrom) : null,
+            dateEnd: search.dateTo ? new Date(search.dateTo) : null,
+            ignoreWarmup: search.ignoreWarmup,
+            model: '',
+            branch: ''
+        };
+        try {
+            if (search.query) {
+                const params = new URLSearchParams({ q: search.query, ...searchModeParams(filters.modes) });
+                const response = await fetch(`/api/search?${params}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Search failed');
+                noteIndexGeneration(data.indexGeneration);
+                filters.results = new Map(data.results.map((result, rank) => [`${result.projectDir}/${result.id}`, { ...result, rank }]));
+            }
+            search.count = Array.from(document.querySelectorAll('.chat-card')).filter(card => {
+                const { matchesFolder, matchesFilters } = matchCard(card, filters);
+                return matchesFolder && matchesFilters;
+            }).length;
+            search.error = null;
+        } catch (error) {
+            search.count = null;
+            search.error = error.message;
+        }
+        renderSmartFolders();
+    }
+
+    function describeSmartFolder(search) {
+        const modes = [search.modes?.regex && 'regex', search.modes?.case && 'match case', search.modes?.word && 'whole words', search.modes?.code && 'code only'].filter(Boolean);
+        const folderItem = search.folder ? document.querySelector(`.folder-item[data-path="${CSS.escape(search.folder)}"] .folder-name`) : null;
+        const formatDate = date => new Date(date).toLocaleDateString();
+        return [
+            search.query ? `Search: ${search.query}${modes.length > 0 ? ` (${modes.join(', ')})` : ''}` : '',
+            search.folder ? `Project: ${folderItem ? folderItem.title : search.folder}` : '',
+            search.dateFrom || search.dateTo ? `Dates: ${search.dateFrom ? formatDate(search.dateFrom) : '…'} – ${search.dateTo ? formatDate(search.dateTo) : '…'}` : '',
+            search.ignoreWarmup ? 'Warmup hidden' : 'Warmup shown',
+            search.error ? `Error: ${search.error}` : ''
+        ].filter(Boolean).join('\n');
+    }
+
+    function renderSmartFolders() {
+        if (!smartFolderList) return;
+        smartFolderList.innerHTML = savedSearches.map(search => `
+                <div class="smart-folder${search.id === activeSmartFolder ? ' active' : ''}">
+                    <div class="folder-header" onclick="applySmartFolder('${escapeHtml(search.id)}')" title="${escapeHtml(describeSmartFolder(search))}">
+                        <span class="folder-icon">🔖</span>
+                        <span class="folder-name">${escapeHtml(search.name)}</span>
+                        <span class="folder-count">${search.error ? '!' : search.count ?? '…'}</span>
+                        <button type="button" class="smart-folder-delete" onclick="event.stopPropagation(); deleteSmartFolder('${escapeHtml(search.id)}')" title="Delete this smart folder">×</button>
+                    </div>
+                </div>`).join('');
+    }
+
+    function clearActiveSmartFolder() {
+        if (activeSmartFolder === null) return;
+        activeSmartFolder = null;
+        renderSmartFolders();
+    }
+
+    // Apply a smart folder's search, project, date range and warmup filter
+    window.applySmartFolder = function(id) {
+        const search = savedSearches.find(candidate => candidate.id === id);
+        if (!search) return;
+
+        Object.keys(searchMode).forEach(mode => {
+            searchMode[mode] = Boolean(search.modes && search.modes[mode]);
+        });
+        searchModeButtons.forEach(button => button.classList.toggle('active', searchMode[button.dataset.searchMode]));
+        ignoreWarmup = search.ignoreWarmup;
+        const warmupCheckbox = document.getElementById('ignore-warmup');
+        if (warmupCheckbox) warmupCheckbox.checked = ignoreWarmup;
+
+        // Selecting the folder clears the date range, so the saved one is set afterwards
+        selectFolder(search.folder || '');
+        if (search.dateFrom || search.dateTo) {
+            dateRangeStart = search.dateFrom ? new Date(search.dateFrom) : null;
+            dateRangeEnd = search.dateTo ? new Date(search.dateTo) : null;
+            if (window.TimeSlider) window.TimeSlider.setSelection(dateRangeStart || dateRangeEnd, dateRangeEnd);
+        }
+
+        if (searchInput) searchInput.value = search.query;
+        handleSearch();
+        activeSmartFolder = id;
+        renderSmartFolders();
+    };
+
+    // Save the current search, project, date range and warmup filter as a smart folder
+    window.saveSmartFolder = async function() {
+        const name = window.prompt('Name of the smart folder', searchTerm);
+        if (!name) return;
+
+        try {
+            const response = await fetch('/api/saved-searches', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name,
+                    query: searchTerm,
+                    modes: { ...searchMode },
+                    folder: currentFolder,
+                    dateFrom: dateRangeStart ? dateRangeStart.toISOString() : null,
+                    dateTo: dateRangeEnd ? dateRangeEnd.toISOString() : null,
+                    ignoreWarmup
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Could not save the search');
+
+            savedSearches.push(data);
+            activeSmartFolder = data.id;
+            renderSmartFolders();
+            countSmartFolder(data);
+        } catch (error) {
+            window.alert(error.message);
+        }
+    };
+
+    window.deleteSmartFolder = async function(id) {
+        const search = savedSearches.find(candidate => candidate.id === id);
+        if (!search || !window.confirm(`Delete the smart folder "${search.name}"?`)) return;
+
+        try {
+            const response = await fetch(`/api/saved-searches/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) throw new Error('Could not delete the smart folder');
+            savedSearches = savedSearches.filter(candidate => candidate.id !== id);
+            if (activeSmartFolder === id) activeSmartFolder = null;
+            renderSmartFolders();
+        } catch (error) {
+            window.alert(error.message);
+        }
+    };
+
     // Select folder
     window.selectFolder = function(path, updateUrl = true) {
         currentFolder = path;
+        clearActiveSmartFolder();
 
         document.querySelectorAll('.folder-item').forEach(item => {
             item.classList.remove('active');
@@ -175,10 +463,277 @@
         }
     };
 
-    // Handle search
+    // Handle search: plain words are matched against titles and project paths right away, then
+    // the query runs on the server-side index, which searches every message and ranks the results
     function handleSearch() {
-        searchTerm = searchInput?.value.toLowerCase() || '';
+        searchTerm = searchInput?.value.trim() || '';
+        searchResults = null;
+        searchRequest++;
+        showSearchError('');
         filterChats();
+        if (searchTerm) fetchSearchResults(searchTerm, searchRequest);
+        refreshDetailSearch();
+    }
+
+    // Queries using the query language (fields, phrases, exclusions, OR) or a search mode are only
+    // run on the server
+    function isStructuredQuery(term, modes = searchMode) {
+        return modes.regex || modes.case || modes.word || modes.code ||
+            /"|(^|\s)-\S|[a-zA-Z]:\S|(^|\s)OR(\s|$)/.test(term);
+    }
+
+    function searchModeParams(modes = searchMode) {
+        const params = {};
+        Object.keys(modes).filter(mode => modes[mode]).forEach(mode => { params[mode] = '1'; });
+        return params;
+    }
+
+    // The search as URL parameters for the detail panel, the chat page and the downloads
+    function detailSearchParams() {
+        return searchTerm ? { search: searchTerm, ...searchModeParams() } : {};
+    }
+
+    async function fetchSearchResults(term, request) {
+        try {
+            const response = await fetch(`/api/search?${new URLSearchParams({ q: term, ...searchModeParams() })}`);
+            const data = await response.json();
+            noteIndexGeneration(data.indexGeneration);
+            if (request !== searchRequest) return;
+            if (!response.ok) {
+                // Invalid queries (a bad date, an unknown role, a broken regex...) come back with a readable error
+                showSearchError(data.error || 'Search failed');
+                searchResults = new Map();
+            } else {
+                searchResults = new Map(data.results.map((result, rank) => [`${result.projectDir}/${result.id}`, { ...result, rank }]));
+                // A slow regular expression or phrase search stops early with what it found
+                if (data.complete === false) showSearchError('The search took too long and stopped early: some matches may be missing');
+            }
+            filterChats();
+        } catch (error) {
+            console.error('Error searching:', error);
+        }
+    }
+
+    function showSearchError(message) {
+        if (!searchError) return;
+        searchError.textContent = message;
+        searchError.hidden = !message;
+    }
+
+    // Autocomplete for the query language: field names, then known values of the field being typed
+    async function loadSearchSuggestions() {
+        if (!searchSuggestions) {
+            const response = await fetch('/api/search/suggestions');
+            if (!response.ok) throw new Error('Failed to load search suggestions');
+            searchSuggestions = await response.json();
+        }
+        return searchSuggestions;
+    }
+
+    // The query term ending at the caret: optional minus, optional field and the value typed so far
+    function termAtCaret() {
+        const caret = searchInput.selectionStart ?? searchInput.value.length;
+        const match = searchInput.value.slice(0, caret).match(/(-?)(?:([a-zA-Z]+):)?("[^"]*|\S*)$/);
+        return {
+            start: caret - match[0].length,
+            end: caret,
+            minus: match[1],
+            field: match[2] ? match[2].toLowerCase() : null,
+            value: match[3].replace(/^"/, '')
+        };
+    }
+
+    async function updateSuggestions() {
+        if (!searchSuggestionsList || !searchInput) return;
+        // A regular expression has no fields to complete
+        if (searchMode.regex) return hideSuggestions();
+        const term = termAtCaret();
+        if (!term.field && !term.value) return hideSuggestions();
+
+        let data;
+        try {
+            data = await loadSearchSuggestions();
+        } catch (error) {
+            console.error('Error loading search suggestions:', error);
+            return hideSuggestions();
+        }
+
+        let items = [];
+        if (term.field) {
+            const typed = term.value.toLowerCase();
+            items = (data.values[term.field] || [])
+                .filter(value => value.toLowerCase().includes(typed) && value.toLowerCase() !== typed)
+                .slice(0, 8)
+                .map(value => ({
+                    label: value,
+                    hint: '',
+                    text: `${term.minus}${term.field}:${/\s/.test(value) ? `"${value}"` : value} `
+                }));
+        } else if (!term.value.startsWith('"')) {
+            items = data.fields
+                .filter(({ field }) => field.startsWith(term.value.toLowerCase()) && field !== term.value.toLowerCase())
+                .map(({ field, description }) => ({ label: `${field}:`, hint: description, text: `${term.minus}${field}:` }));
+        }
+
+        if (items.length === 0) return hideSuggestions();
+        activeSuggestion = -1;
+        searchSuggestionsList.innerHTML = items.map((item, i) => `
+            <div class="search-suggestion" data-index="${i}">
+                <span class="search-suggestion-label">${escapeHtml(item.label)}</span>
+                ${item.hint ? `<span class="search-suggestion-hint">${escapeHtml(item.hint)}</span>` : ''}
+            </div>`).join('');
+        searchSuggestionsList.querySelectorAll('.search-suggestion').forEach(element => {
+            // mousedown keeps the focus in the search box
+            element.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                applySuggestion(items[parseInt(element.dataset.index, 10)], term);
+            });
+        });
+        suggestionItems = items;
+        suggestionTerm = term;
+        searchSuggestionsList.hidden = false;
+    }
+
+    function hideSuggestions() {
+        if (searchSuggestionsList) searchSuggestionsList.hidden = true;
+        activeSuggestion = -1;
+    }
+
+    // Replace the term at the caret with the suggestion and search again
+    function applySuggestion(item, term) {
+        const value = searchInput.value;
+        searchInput.value = value.slice(0, term.start) + item.text + value.slice(term.end);
+        const caret = term.start + item.text.length;
+        searchInput.setSelectionRange(caret, caret);
+        hideSuggestions();
+        handleSearch();
+        // After a field name, offer its values
+        if (!item.text.endsWith(' ')) updateSuggestions();
+    }
+
+    // Arrow keys move through the suggestions, Enter or Tab picks one and Escape closes them
+    function handleSuggestionKey(e) {
+        if (!searchSuggestionsList || searchSuggestionsList.hidden) return false;
+        const items = suggestionItems;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeSuggestion = (activeSuggestion + step + items.length) % items.length;
+            searchSuggestionsList.querySelectorAll('.search-suggestion').forEach((element, i) => {
+                element.classList.toggle('active', i === activeSuggestion);
+            });
+            return true;
+        }
+        if ((e.key === 'Enter' || e.key === 'Tab') && (activeSuggestion >= 0 || e.key === 'Tab')) {
+            e.preventDefault();
+            applySuggestion(items[Math.max(activeSuggestion, 0)], suggestionTerm);
+            return true;
+        }
+        if (e.key === 'Escape') {
+            hideSuggestions();
+            return true;
+        }
+        return false;
+    }
+
+    // Best search result for a card: its own chat or one nested under it (sub-agent runs, earlier sessions)
+    function cardSearchResult(card, results = searchResults) {
+        if (!results) return null;
+        let best = null;
+        [card, ...card.querySelectorAll('.sub-agent-card')].forEach(element => {
+            const result = results.get(`${element.dataset.projectDir}/${element.dataset.chatId}`);
+            if (result && (!best || result.rank < best.rank)) best = result;
+        });
+        return best;
+    }
+
+    const SNIPPET_ROLES = { user: 'User', assistant: 'Assistant', tool: 'Tool' };
+
+    // Snippets of the best matching messages under a result card; clicking one opens the chat at
+    // that message. Only the first results come with snippets, the others load them when shown.
+    function renderCardSnippets(card, result) {
+        let container = card.querySelector(':scope > .chat-snippets');
+        const key = result ? `${searchRequest}:${result.projectDir}/${result.id}` : '';
+        if ((container ? container.dataset.key : '') === key) return;
+
+        if (!result) {
+            container?.remove();
+            snippetObserver?.unobserve(card);
+            return;
+        }
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'chat-snippets';
+            card.querySelector('.chat-info')?.after(container);
+        }
+        container.dataset.key = key;
+        container.innerHTML = snippetsHtml(result);
+        if (result.snippets.length === 0 && result.messageIndices.length > 0) snippetObserver?.observe(card);
+    }
+
+    // Code search snippets (with a language) show the block's lines under the file it was written to
+    function snippetsHtml(result) {
+        return result.snippets.map(snippet => {
+            const role = SNIPPET_ROLES[snippet.role] || capitalize(snippet.role);
+            const label = `<span class="snippet-role ${escapeHtml(snippet.role)}">${snippet.tool ? `${role} · ${escapeHtml(snippet.tool)}` : role}</span>`;
+            const onclick = `event.stopPropagation(); selectChat('${escapeHtml(result.projectDir)}', '${escapeHtml(result.id)}', true, ${snippet.messageIndex})`;
+            if (snippet.language) {
+                return `
+                <div class="chat-snippet code" title="Open the chat at this message" onclick="${onclick}">
+                    <div class="snippet-code-header">
+                        ${label}
+                        <span class="snippet-path" title="${escapeHtml(snippet.path || '')}">${escapeHtml(snippet.path ? snippet.path.split('/').pop() : 'code block')}</span>
+                        <span class="snippet-language">${escapeHtml(snippet.language)}</span>
+                    </div>
+                    <pre class="snippet-code">${snippet.html}</pre>
+                </div>`;
+            }
+            return `
+                <div class="chat-snippet" title="Open the chat at this message" onclick="${onclick}">
+                    ${label}
+                    <span class="snippet-text">${snippet.html}</span>
+                </div>`;
+        }).join('');
+    }
+
+    function loadCardSnippets(entries) {
+        entries.filter(entry => entry.isIntersecting).forEach(async ({ target: card }) => {
+            snippetObserver.unobserve(card);
+            const container = card.querySelector(':scope > .chat-snippets');
+            const result = cardSearchResult(card);
+            if (!container || !result) return;
+            const key = container.dataset.key;
+
+            try {
+                const params = new URLSearchParams({
+                    q: searchTerm,
+                    ...searchModeParams(),
+                    messages: result.messageIndices.slice(0, 6).join(',')
+                });
+                const response = await fetch(`/api/search/snippets/${encodeURIComponent(result.projectDir)}/${encodeURIComponent(result.id)}?${params}`);
+                if (!response.ok) throw new Error('Failed to load snippets');
+                const data = await response.json();
+                if (container.dataset.key !== key) return;
+                result.snippets = data.snippets;
+                container.innerHTML = snippetsHtml(result);
+            } catch (error) {
+                console.error('Error loading snippets:', error);
+            }
+        });
+    }
+
+    // With search results, the matching cards are listed by relevance in one group instead of by month
+    function arrangeCards(rankedCards) {
+        if (rankedCards) {
+            rankedCards
+                .sort((a, b) => a.rank - b.rank)
+                .forEach(({ card }) => searchResultsList.appendChild(card));
+            if (searchResultsCount) searchResultsCount.textContent = `(${rankedCards.length})`;
+        } else if (cardsRanked) {
+            cardHomes.forEach((parent, card) => parent.appendChild(card));
+        }
+        cardsRanked = Boolean(rankedCards);
+        if (searchResultsGroup) searchResultsGroup.style.display = cardsRanked && rankedCards.length > 0 ? '' : 'none';
     }
 
     // Toggle warmup filter
@@ -188,60 +743,127 @@
         filterChats();
     };
 
+    // Only show conversations that used one model ('' for all)
+    window.setModelFilter = function(model) {
+        modelFilter = model;
+        filterChats();
+    };
+
+    // Only show conversations that were on a git branch (kept in the URL so it can be linked)
+    window.setBranchFilter = function(branch, updateUrl = true) {
+        branchFilter = branch;
+        const select = document.getElementById('branch-filter');
+        if (select && select.value !== branch) select.value = branch;
+        filterChats();
+
+        if (updateUrl) {
+            const url = new URL(window.location);
+            if (branch) {
+                url.searchParams.set('branch', branch);
+            } else {
+                url.searchParams.delete('branch');
+            }
+            window.history.pushState({}, '', url);
+        }
+    };
+
+    // Filters applied to the chat list: { folder, term, modes, results, dateStart, dateEnd, ignoreWarmup, model, branch }
+    function currentFilters() {
+        return {
+            folder: currentFolder,
+            term: searchTerm,
+            modes: searchMode,
+            results: searchResults,
+            dateStart: dateRangeStart,
+            dateEnd: dateRangeEnd,
+            ignoreWarmup,
+            model: modelFilter,
+            branch: branchFilter
+        };
+    }
+
+    // Whether a card is in the filters' folder, whether it passes the other filters, and its best
+    // search result (null when none). Plain words match titles and project paths until the
+    // search results are in.
+    function matchCard(card, filters) {
+        // Folders are keyed by project directory; the project path is searchable
+        const projectDir = card.dataset.projectDir || '';
+        const project = card.dataset.project || '';
+        const title = (card.dataset.title || '').toLowerCase();
+        const cardDateStr = card.dataset.date;
+
+        // Always respect folder selection (combines with search if both active)
+        const matchesFolder = !filters.folder || projectDir === filters.folder;
+
+        const result = cardSearchResult(card, filters.results);
+        const plainTerm = filters.term && !isStructuredQuery(filters.term, filters.modes) ? filters.term.toLowerCase() : '';
+        const matchesSearch = !filters.term ||
+            result !== null ||
+            (!filters.results && !plainTerm) ||
+            (plainTerm && (title.includes(plainTerm) || project.toLowerCase().includes(plainTerm)));
+
+        // Check warmup filter
+        const isWarmup = card.dataset.warmup === 'true';
+        const matchesWarmup = !filters.ignoreWarmup || !isWarmup;
+
+        const models = (card.dataset.models || '').split(' ');
+        const matchesModel = !filters.model || models.includes(filters.model);
+
+        const branches = (card.dataset.branches || '').split(' ');
+        const matchesBranch = !filters.branch || branches.includes(filters.branch);
+
+        let matchesDateRange = true;
+        if (filters.dateStart || filters.dateEnd) {
+            const cardDate = new Date(cardDateStr);
+            if (!isNaN(cardDate)) {
+                if (filters.dateStart && cardDate < filters.dateStart) {
+                    matchesDateRange = false;
+                }
+                if (filters.dateEnd && cardDate > filters.dateEnd) {
+                    matchesDateRange = false;
+                }
+            }
+        }
+
+        return {
+            matchesFolder,
+            matchesFilters: Boolean(matchesSearch && matchesDateRange && matchesWarmup && matchesModel && matchesBranch),
+            result
+        };
+    }
+
     // Filter chats
     function filterChats() {
         const cards = document.querySelectorAll('.chat-card');
         const monthGroups = document.querySelectorAll('.month-group');
         let visibleCards = 0;
         const monthCounts = {};
+        const rankedCards = searchTerm && searchResults && searchResultsList ? [] : null;
 
         // Reset folder match counts when searching
         if (searchTerm) {
             folderMatchCounts = {};
         }
 
+        const filters = currentFilters();
         cards.forEach(card => {
-            const project = card.dataset.project || '';
-            const title = (card.dataset.title || '').toLowerCase();
-            const searchable = (card.dataset.searchable || '').toLowerCase();
-            const cardDateStr = card.dataset.date;
-
-            // Always respect folder selection (combines with search if both active)
-            const matchesFolder = !currentFolder || project === currentFolder;
-
-            const matchesSearch = !searchTerm ||
-                title.includes(searchTerm) ||
-                searchable.includes(searchTerm) ||
-                project.toLowerCase().includes(searchTerm);
-
-            // Check warmup filter
-            const isWarmup = card.dataset.warmup === 'true';
-            const matchesWarmup = !ignoreWarmup || !isWarmup;
-
-            let matchesDateRange = true;
-            if (dateRangeStart || dateRangeEnd) {
-                const cardDate = new Date(cardDateStr);
-                if (!isNaN(cardDate)) {
-                    if (dateRangeStart && cardDate < dateRangeStart) {
-                        matchesDateRange = false;
-                    }
-                    if (dateRangeEnd && cardDate > dateRangeEnd) {
-                        matchesDateRange = false;
-                    }
-                }
-            }
+            const projectDir = card.dataset.projectDir || '';
+            const { matchesFolder, matchesFilters, result } = matchCard(card, filters);
+            renderCardSnippets(card, searchTerm && matchesFolder && matchesFilters ? result : null);
 
             // Track folder matches when searching (before folder filter)
             // This ensures all folders with search matches are shown in the tree
-            if (searchTerm && matchesSearch && matchesDateRange && matchesWarmup) {
-                folderMatchCounts[project] = (folderMatchCounts[project] || 0) + 1;
+            if (searchTerm && matchesFilters) {
+                folderMatchCounts[projectDir] = (folderMatchCounts[projectDir] || 0) + 1;
             }
 
-            if (matchesFolder && matchesSearch && matchesDateRange && matchesWarmup) {
+            if (matchesFolder && matchesFilters) {
                 card.style.display = '';
                 visibleCards++;
+                // Title and project matches without a message match go after the ranked results
+                if (rankedCards) rankedCards.push({ card, rank: result ? result.rank : Infinity });
 
-                const monthGroup = card.closest('.month-group');
+                const monthGroup = (cardHomes.get(card) || card).closest('.month-group');
                 if (monthGroup) {
                     const month = monthGroup.dataset.month;
                     monthCounts[month] = (monthCounts[month] || 0) + 1;
@@ -256,7 +878,7 @@
             const count = monthCounts[month] || 0;
             const countEl = group.querySelector('.month-count');
 
-            if (count > 0) {
+            if (count > 0 && !rankedCards) {
                 group.style.display = '';
                 if (countEl) {
                     countEl.textContent = `(${count})`;
@@ -274,6 +896,8 @@
             emptyState.style.display = visibleCards === 0 ? '' : 'none';
         }
 
+        arrangeCards(rankedCards);
+
         // Update folder tree based on search results
         updateFolderTree();
     }
@@ -314,12 +938,21 @@
         }
     }
 
-    // Select and load chat
-    window.selectChat = async function(projectDir, chatId, updateUrl = true) {
+    // Fetch one page of a chat from the API
+    async function fetchChatPage(projectDir, chatId, params) {
+        const query = new URLSearchParams({ limit: PAGE_SIZE, ...detailSearchParams(), ...params });
+        const response = await fetch(`/api/chat/${projectDir}/${chatId}?${query}`);
+        if (!response.ok) throw new Error('Failed to load chat');
+        return response.json();
+    }
+
+    // Select and load chat (optionally centred on a message index)
+    window.selectChat = async function(projectDir, chatId, updateUrl = true, aroundIndex = null) {
         selectedChatId = `${projectDir}/${chatId}`;
+        const requestedChatId = selectedChatId;
 
-        // Update active state in list
-        document.querySelectorAll('.chat-card').forEach(card => {
+        // Update active state in list (including nested sub-agent runs)
+        document.querySelectorAll('.chat-card, .sub-agent-card').forEach(card => {
             card.classList.remove('active');
             if (card.dataset.projectDir === projectDir && card.dataset.chatId === chatId) {
                 card.classList.add('active');
@@ -339,18 +972,23 @@
         }
 
         try {
-            // Check cache first
+            // Check cache first (only the first page is cached, per search since it carries the highlights)
             let data;
-            if (chatCache[selectedChatId]) {
-                data = chatCache[selectedChatId];
+            const cacheKey = `${selectedChatId}?${new URLSearchParams(detailSearchParams())}`;
+            if (aroundIndex === null && chatCache[cacheKey]) {
+                data = chatCache[cacheKey];
             } else {
-                const response = await fetch(`/api/chat/${projectDir}/${chatId}`);
-                if (!response.ok) throw new Error('Failed to load chat');
-                data = await response.json();
-                chatCache[selectedChatId] = data;
+                const params = aroundIndex === null ? { offset: 0 } : { around: aroundIndex };
+                data = await fetchChatPage(projectDir, chatId, params);
+                if (aroundIndex === null) {
+                    chatCache[cacheKey] = data;
+                }
             }
 
-            renderChatDetail(data);
+            // Ignore responses for a chat that is no longer selected
+            if (requestedChatId !== selectedChatId) return;
+
+            renderChatDetail(data, aroundIndex);
         } catch (error) {
             console.error('Error loading chat:', error);
             if (detailLoading) detailLoading.style.display = 'none';
@@ -362,7 +1000,7 @@
     };
 
     // Render chat detail
-    function renderChatDetail(data) {
+    function renderChatDetail(data, aroundIndex = null) {
         if (detailLoading) detailLoading.style.display = 'none';
         if (detailContent) detailContent.style.display = 'flex';
 
@@ -370,25 +1008,472 @@
         if (detailTitle) detailTitle.textContent = data.title || 'Chat';
         if (detailProject) detailProject.textContent = data.projectName;
         if (detailCount) detailCount.textContent = `${data.messageCount} messages`;
-        if (detailLink) detailLink.href = `/chat/${data.projectDir}/${data.chatId}`;
-        if (detailDownload) detailDownload.href = `/download/${data.projectDir}/${data.chatId}`;
+        renderDetailGit(data);
+        renderDetailThread(data);
+        renderDetailUsage(data);
+        resetDetailSections(data);
+        if (detailLink) {
+            const params = new URLSearchParams(detailSearchParams()).toString();
+            detailLink.href = `/chat/${data.projectDir}/${data.chatId}${params ? '?' + params : ''}`;
+        }
+        updateDownloadLinks(data);
+
+        detailPage = {
+            projectDir: data.projectDir,
+            chatId: data.chatId,
+            start: data.offset,
+            end: data.offset + data.messages.length,
+            total: data.messageCount,
+            leafUuid: data.leafUuid,
+            imageCount: data.imageCount
+        };
 
         // Render messages
         if (detailMessages) {
-            detailMessages.innerHTML = data.messages.map((msg, idx) => `
-                <div class="detail-message" id="msg-${idx}">
+            detailMessages.dataset.chatPath = `${data.projectDir}/${data.chatId}`;
+            detailMessages.innerHTML = data.messages.map(renderDetailMessage).join('');
+
+            const target = aroundIndex !== null ? document.getElementById(`msg-${aroundIndex}`) : null;
+            if (target) {
+                target.scrollIntoView({ block: 'start' });
+            } else {
+                // Scroll to top
+                detailMessages.scrollTop = 0;
+            }
+        }
+
+        updateDetailSearch(data, aroundIndex);
+    }
+
+    // Hit navigator of the open chat. The server marks the matches in each page it sends; the hits
+    // of the whole chat are loaded once per chat, branch and search, then the first one is shown
+    // (unless the chat was opened at a given message).
+    async function updateDetailSearch(data, aroundIndex) {
+        const params = detailSearchParams();
+        const key = detailSearchKey(data, params);
+        if (detailSearch && detailSearch.key === key) {
+            syncRenderedHits();
+            markCurrentHit();
+            renderDetailSearchCount();
+            return;
+        }
+        detailSearch = null;
+        renderDetailSearchCount();
+        if (!params.search) return;
+
+        const page = detailPage;
+        try {
+            const hits = await fetchDetailHits(data, params);
+            if (page !== detailPage) return;
+
+            detailSearch = { key, messages: hits.messages, total: hits.total, current: 0, currentHit: null };
+            syncRenderedHits();
+            renderDetailSearchCount();
+            if (detailSearch.total > 0 && aroundIndex === null) goToDetailHit(1);
+        } catch (error) {
+            console.error('Error loading search hits:', error);
+        }
+    }
+
+    function detailSearchKey(page, params) {
+        return `${page.projectDir}/${page.chatId}:${page.leafUuid || ''}?${new URLSearchParams(params)}`;
+    }
+
+    // Hit counts of the whole chat, with the pattern the server marks them with
+    async function fetchDetailHits(page, params) {
+        const query = new URLSearchParams(params);
+        if (page.leafUuid) query.set('leaf', page.leafUuid);
+        const response = await fetch(`/api/chat/${page.projectDir}/${page.chatId}/hits?${query}`);
+        if (!response.ok) throw new Error('Failed to load search hits');
+        return response.json();
+    }
+
+    // The server counts hits on the text of the messages; the messages on screen are counted from
+    // their marks instead, since those are what the navigator steps through
+    function syncRenderedHits() {
+        if (!detailSearch || !detailMessages) return;
+        const counts = new Map(detailSearch.messages.map(message => [message.index, message.hits]));
+        detailMessages.querySelectorAll('.detail-message[id^="msg-"]').forEach(element => {
+            const index = Number(element.id.slice('msg-'.length));
+            const hits = element.querySelectorAll('.search-highlight').length;
+            if (hits > 0) {
+                counts.set(index, hits);
+            } else {
+                counts.delete(index);
+            }
+        });
+        detailSearch.messages = [...counts.entries()].sort((a, b) => a[0] - b[0]).map(([index, hits]) => ({ index, hits }));
+        detailSearch.total = detailSearch.messages.reduce((total, message) => total + message.hits, 0);
+    }
+
+    // Mark the matches of a pattern in the text of the messages on screen, replacing the old marks
+    // (the way the server marks pages: within text, never across tags)
+    function markRenderedMessages(pattern) {
+        if (!detailMessages) return;
+        detailMessages.querySelectorAll('.detail-message-content').forEach(content => {
+            content.querySelectorAll('mark.search-highlight').forEach(mark => mark.replaceWith(mark.textContent));
+            content.normalize();
+            if (!pattern) return;
+
+            const walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) textNodes.push(walker.currentNode);
+            textNodes.forEach(node => {
+                const text = node.nodeValue;
+                const fragment = document.createDocumentFragment();
+                let last = 0;
+                for (const match of text.matchAll(pattern)) {
+                    // Regular expressions can match empty text, which there is nothing to mark in
+                    if (!match[0]) continue;
+                    const mark = document.createElement('mark');
+                    mark.className = 'search-highlight';
+                    mark.textContent = match[0];
+                    fragment.append(text.slice(last, match.index), mark);
+                    last = match.index + match[0].length;
+                }
+                if (last === 0) return;
+                fragment.append(text.slice(last));
+                node.replaceWith(fragment);
+            });
+        });
+    }
+
+    // Go to hit n of the open chat (wrapping around), loading its message first if needed
+    async function goToDetailHit(n) {
+        const search = detailSearch;
+        if (!search || search.total === 0) return;
+
+        const number = ((n - 1) % search.total + search.total) % search.total + 1;
+        let occurrence = number;
+        const message = search.messages.find(candidate => {
+            if (occurrence <= candidate.hits) return true;
+            occurrence -= candidate.hits;
+            return false;
+        });
+        search.current = number;
+        search.currentHit = { index: message.index, occurrence: occurrence - 1 };
+        renderDetailSearchCount();
+
+        if (!document.getElementById(`msg-${message.index}`)) {
+            await jumpToMessage(message.index);
+            if (search !== detailSearch) return;
+        }
+        markCurrentHit(true);
+    }
+
+    window.detailSearchNext = () => goToDetailHit((detailSearch?.current || 0) + 1);
+    window.detailSearchPrev = () => goToDetailHit((detailSearch?.current || 0) - 1);
+
+    function markCurrentHit(scroll = false) {
+        detailMessages?.querySelectorAll('.search-highlight.current').forEach(mark => mark.classList.remove('current'));
+        const hit = detailSearch?.currentHit;
+        if (!hit) return;
+        const mark = document.getElementById(`msg-${hit.index}`)?.querySelectorAll('.search-highlight')[hit.occurrence];
+        if (!mark) return;
+        mark.classList.add('current');
+        if (scroll) mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    function renderDetailSearchCount() {
+        if (!detailSearchNav) return;
+        detailSearchNav.hidden = !detailSearch;
+        if (!detailSearch || !detailSearchCount) return;
+        detailSearchCount.textContent = detailSearch.total === 0
+            ? 'No matches'
+            : `${detailSearch.current || '–'}/${detailSearch.total}`;
+    }
+
+    // When the search changes, re-mark the messages on screen (keeping the loaded window and the
+    // scroll position) and fetch the new hit counts of the chat
+    async function refreshDetailSearch() {
+        const page = detailPage;
+        if (!page) return;
+
+        const params = detailSearchParams();
+        if (detailLink) {
+            const query = new URLSearchParams(params).toString();
+            detailLink.href = `/chat/${page.projectDir}/${page.chatId}${query ? '?' + query : ''}`;
+        }
+        updateDownloadLinks(page, page.leafUuid);
+
+        if (!params.search) {
+            detailSearch = null;
+            markRenderedMessages(null);
+            renderDetailSearchCount();
+            return;
+        }
+        try {
+            const hits = await fetchDetailHits(page, params);
+            if (page !== detailPage || new URLSearchParams(detailSearchParams()).toString() !== new URLSearchParams(params).toString()) return;
+
+            const pattern = hits.pattern ? new RegExp(hits.pattern.source, hits.pattern.flags) : null;
+            markRenderedMessages(pattern);
+            detailSearch = { key: detailSearchKey(page, params), messages: hits.messages, total: hits.total, current: 0, currentHit: null };
+            syncRenderedHits();
+            renderDetailSearchCount();
+        } catch (error) {
+            console.error('Error loading search hits:', error);
+        }
+    }
+
+    function renderDetailMessage(msg) {
+        return `
+                <div class="detail-message${msg.reasoningOnly ? ' reasoning-only' : ''}" id="msg-${msg.index}">
                     <div class="detail-message-role">
                         <span class="role-badge ${msg.role}">${capitalize(msg.role)}</span>
                         ${msg.timestamp ? `<span class="msg-time">${formatTime(msg.timestamp)}</span>` : ''}
+                        ${msg.model ? `<span class="model-badge" title="${escapeHtml(msg.model)}">${escapeHtml(msg.modelLabel)}</span>` : ''}
+                        ${msg.branch ? renderBranchSwitcher(msg.branch) : ''}
                     </div>
                     <div class="detail-message-content">
                         ${msg.htmlContent || escapeHtml(msg.content) || '<em>No content</em>'}
                     </div>
                 </div>
-            `).join('');
+            `;
+    }
+
+    function formatTokens(count) {
+        if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+        if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+        return String(count);
+    }
+
+    // Git branch(es) of the open chat, with working directories and version as a tooltip.
+    // Clicking it lists the other sessions on the branch the chat ended on.
+    function renderDetailGit(data) {
+        if (!detailGit) return;
+        const session = data.session || { branchChanges: [], cwds: [], versions: [] };
+        const branches = session.branchChanges.map(change => change.branch);
+        detailGit.textContent = branches.length > 0 ? `⎇ ${branches.join(' → ')}` : '';
+        detailGit.title = [
+            ...session.branchChanges.map(change =>
+                `${change.branch}${change.messageIndex !== null ? ` from message ${change.messageIndex + 1}` : ''}`),
+            ...session.cwds.map(cwd => `Directory: ${cwd}`),
+            ...(session.versions.length > 0 ? [`Claude Code ${session.versions.join(', ')}`] : []),
+            ...(branches.length > 0 ? ['Click to show the sessions on this branch'] : [])
+        ].join('\n');
+        detailGit.onclick = branches.length > 0
+            ? () => setBranchFilter(branches[branches.length - 1])
+            : null;
+    }
+
+    // Previous and next sessions when the open chat is part of a continued thread
+    function renderDetailThread(data) {
+        if (!detailThread) return;
+        const thread = data.thread || { continuedFrom: null, continuedIn: [], sessions: [] };
+        if (thread.sessions.length < 2) {
+            detailThread.innerHTML = '';
+            return;
+        }
+
+        const sessionLink = (session, label) =>
+            `<a href="#" title="${escapeHtml(session.title)}" onclick="event.preventDefault(); selectChat('${escapeHtml(data.projectDir)}', '${escapeHtml(session.id)}')">${label}</a>`;
+        const position = thread.sessions.findIndex(session => session.id === data.chatId) + 1;
+        detailThread.innerHTML = [
+            thread.continuedFrom ? sessionLink(thread.continuedFrom, '↰') : '',
+            `<a href="/chat/${encodeURIComponent(data.projectDir)}/${encodeURIComponent(data.chatId)}?thread=1" target="_blank" title="Open the whole thread as one transcript">🧵 ${position}/${thread.sessions.length}</a>`,
+            ...thread.continuedIn.map(session => sessionLink(session, '↳'))
+        ].join(' ');
+    }
+
+    // Token totals and estimated cost of the open chat, with the breakdown as a tooltip
+    function renderDetailUsage(data) {
+        if (!detailUsage) return;
+        const usage = data.usage;
+        const total = usage
+            ? usage.inputTokens + usage.outputTokens + usage.cacheCreationTokens + usage.cacheReadTokens
+            : 0;
+        if (!total) {
+            detailUsage.textContent = '';
+            detailUsage.title = '';
+            return;
+        }
+
+        const cost = data.cost && data.cost.cost > 0
+            ? ` · ${new Intl.NumberFormat('en-US', { style: 'currency', currency: data.cost.currency }).format(data.cost.cost)}`
+            : '';
+        detailUsage.textContent = `${formatTokens(total)} tokens${cost}`;
+        detailUsage.title = [
+            `Input: ${usage.inputTokens.toLocaleString()}`,
+            `Output: ${usage.outputTokens.toLocaleString()}`,
+            `Cache write: ${usage.cacheCreationTokens.toLocaleString()}`,
+            `Cache read: ${usage.cacheReadTokens.toLocaleString()}`,
+            ...(data.cost && data.cost.unpricedModels.length > 0
+                ? [`Not priced: ${data.cost.unpricedModels.join(', ')}`]
+                : [])
+        ].join('\n');
+    }
 
-            // Scroll to top
-            detailMessages.scrollTop = 0;
+    // Clear the detail sections when another chat (or branch) is shown
+    function resetDetailSections(data) {
+        const chatPath = `${data.projectDir}/${data.chatId}:${data.leafUuid || ''}`;
+        Object.values(detailSections).forEach(({ element }) => {
+            if (!element || element.dataset.chatPath === chatPath) return;
+            element.dataset.chatPath = chatPath;
+            element.innerHTML = '';
+            element.style.display = 'none';
+        });
+    }
+
+    // Show or hide a detail section for the open chat; only one is shown at a time
+    window.toggleDetailSection = async function(name) {
+        const page = detailPage;
+        const section = detailSections[name];
+        if (!section || !section.element || !page) return;
+        const element = section.element;
+
+        if (element.style.display !== 'none') {
+            element.style.display = 'none';
+            return;
+        }
+        Object.values(detailSections).forEach(other => {
+            if (other.element) other.element.style.display = 'none';
+        });
+        element.style.display = '';
+        if (element.innerHTML) return;
+
+        element.innerHTML = '<div class="changes-status">Loading...</div>';
+        try {
+            const params = page.leafUuid ? `?leaf=${encodeURIComponent(page.leafUuid)}` : '';
+            const response = await fetch(`/api/${section.endpoint}/${page.projectDir}/${page.chatId}${params}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to load');
+            if (page !== detailPage) return;
+
+            const html = section.render ? section.render(data) : data.html;
+            element.innerHTML = html || `<div class="changes-status">${section.empty}</div>`;
+            element.querySelector('.changes-summary')?.setAttribute('open', '');
+        } catch (error) {
+            element.innerHTML = `<div class="changes-status">${escapeHtml(error.message)}</div>`;
+        }
+    };
+
+    // Other sessions on the same topic, most similar first, with the words they share
+    function renderRelatedConversations(data) {
+        if (data.results.length === 0) return '';
+        return `<ul class="related-list">${data.results.map(result => `
+                <li class="related-item">
+                    <a href="#" class="related-title" title="${escapeHtml(result.title)}" onclick="event.preventDefault(); selectChat('${escapeHtml(result.projectDir)}', '${escapeHtml(result.id)}')">${escapeHtml(result.title)}</a>
+                    <div class="related-meta">
+                        <span>${escapeHtml(result.projectName)}</span>
+                        ${result.date ? `<span>${new Date(result.date).toLocaleDateString()}</span>` : ''}
+                        <span>${result.messageCount} messages</span>
+                        <span class="related-score" title="Similarity of the two conversations' text">${Math.round(result.score * 100)}%</span>
+                    </div>
+                    <div class="related-terms">${result.terms.map(term => `<span class="related-term">${escapeHtml(term)}</span>`).join('')}</div>
+                </li>`).join('')}
+            </ul>`;
+    }
+
+    // Scroll the detail panel to a message, loading a page around it (on the same branch) when needed
+    async function jumpToMessage(index) {
+        const page = detailPage;
+        if (!page) return;
+
+        if (index >= page.start && index < page.end) {
+            document.getElementById(`msg-${index}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            return;
+        }
+
+        try {
+            const params = { around: index };
+            if (page.leafUuid) params.leaf = page.leafUuid;
+            const data = await fetchChatPage(page.projectDir, page.chatId, params);
+            if (page !== detailPage) return;
+            renderChatDetail(data, index);
+        } catch (error) {
+            console.error('Error loading message:', error);
+        }
+    }
+
+    // Point the download links at the open chat (and branch); the images link only shows when there are images
+    // The search carries over, so matches are bolded in the Markdown
+    function updateDownloadLinks(data, leafUuid = null) {
+        const base = `/download/${data.projectDir}/${data.chatId}`;
+        const params = new URLSearchParams(detailSearchParams());
+        if (leafUuid) params.set('leaf', leafUuid);
+        const query = params.toString();
+
+        if (detailDownload) detailDownload.href = query ? `${base}?${query}` : base;
+        if (detailDownloadImages) {
+            params.set('images', '1');
+            detailDownloadImages.href = `${base}?${params}`;
+            detailDownloadImages.style.display = data.imageCount > 0 ? '' : 'none';
+        }
+    }
+
+    // Switcher shown on the first message after a fork (edited prompt or rewind)
+    function renderBranchSwitcher(branch) {
+        const prev = branch.options[(branch.position - 2 + branch.count) % branch.count];
+        const next = branch.options[branch.position % branch.count];
+        return `
+                        <span class="branch-switcher" title="This message was edited or rewound - ${branch.count} versions">
+                            <button type="button" class="branch-nav" title="${escapeHtml(prev.preview)}" onclick="selectBranch('${prev.leafUuid}')">‹</button>
+                            <span class="branch-position">⑂ ${branch.position}/${branch.count}</span>
+                            <button type="button" class="branch-nav" title="${escapeHtml(next.preview)}" onclick="selectBranch('${next.leafUuid}')">›</button>
+                        </span>`;
+    }
+
+    // Reload the open chat following the branch that ends at leafUuid
+    window.selectBranch = async function(leafUuid) {
+        const page = detailPage;
+        if (!page) return;
+
+        try {
+            const data = await fetchChatPage(page.projectDir, page.chatId, { offset: 0, leaf: leafUuid });
+            if (page !== detailPage) return;
+            renderChatDetail(data);
+            updateDownloadLinks(data, leafUuid);
+        } catch (error) {
+            console.error('Error loading branch:', error);
+        }
+    };
+
+    // Load more messages when scrolled near either end of the loaded window
+    function handleDetailScroll() {
+        if (!detailPage || detailPageLoading || !detailMessages) return;
+
+        const { scrollTop, scrollHeight, clientHeight } = detailMessages;
+        if (scrollHeight - scrollTop - clientHeight < SCROLL_LOAD_THRESHOLD && detailPage.end < detailPage.total) {
+            loadMoreMessages('after');
+        } else if (scrollTop < SCROLL_LOAD_THRESHOLD && detailPage.start > 0) {
+            loadMoreMessages('before');
+        }
+    }
+
+    async function loadMoreMessages(direction) {
+        const page = detailPage;
+        detailPageLoading = true;
+
+        try {
+            const offset = direction === 'after' ? page.end : Math.max(0, page.start - PAGE_SIZE);
+            const limit = direction === 'after' ? PAGE_SIZE : page.start - offset;
+            const params = { offset, limit };
+            if (page.leafUuid) params.leaf = page.leafUuid;
+            const data = await fetchChatPage(page.projectDir, page.chatId, params);
+
+            // The user may have opened another chat in the meantime
+            if (page !== detailPage || !detailMessages) return;
+
+            const html = data.messages.map(renderDetailMessage).join('');
+            page.total = data.messageCount;
+
+            if (direction === 'after') {
+                detailMessages.insertAdjacentHTML('beforeend', html);
+                page.end = data.offset + data.messages.length;
+            } else {
+                // Keep the visible messages in place while prepending
+                const previousHeight = detailMessages.scrollHeight;
+                detailMessages.insertAdjacentHTML('afterbegin', html);
+                detailMessages.scrollTop += detailMessages.scrollHeight - previousHeight;
+                page.start = data.offset;
+            }
+            syncRenderedHits();
+            renderDetailSearchCount();
+        } catch (error) {
+            console.error('Error loading more messages:', error);
+        } finally {
+            detailPageLoading = false;
         }
     }
 
@@ -0,0 +1,171 @@
+// Shared transcript interactions for the chat page and the explorer detail panel
+// Rendered messages live inside an element with data-chat-path="<projectDir>/<chatId>"
+
+(function() {
+    'use strict';
+
+    function chatPathFor(element) {
+        const container = element.closest('[data-chat-path]');
+        return container ? container.dataset.chatPath : null;
+    }
+
+    // Replace a truncated tool result with its full output
+    async function showFullOutput(button) {
+        const chatPath = chatPathFor(button);
+        const toolUseId = button.dataset.toolUseId;
+        if (!chatPath || !toolUseId) return;
+
+        const originalLabel = button.textContent;
+        button.disabled = true;
+        button.textContent = 'Loading...';
+
+        try {
+            const response = await fetch(`/api/tool-result/${chatPath}/${encodeURIComponent(toolUseId)}`);
+            if (!response.ok) throw new Error('Failed to load tool output');
+            const data = await response.json();
+
+            const container = button.closest('.tool-result, .terminal');
+            const output = container?.querySelector('.tool-result-output, .terminal-output');
+            if (output && output.dataset.format === 'terminal') {
+                output.innerHTML = data.terminalHtml;
+            } else if (output) {
+                output.textContent = data.content;
+            }
+            button.remove();
+        } catch (error) {
+            console.error('Error loading tool output:', error);
+            button.disabled = false;
+            button.textContent = originalLabel;
+        }
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    // Expand or collapse a Task call's sub-agent transcript inline
+    async function toggleSubAgent(button) {
+        const container = button.closest('.sub-agent');
+        const body = container?.querySelector('.sub-agent-transcript');
+        if (!container || !body) return;
+
+        if (container.classList.contains('open')) {
+            container.classList.remove('open');
+            button.textContent = '▸ Open sub-agent transcript';
+            return;
+        }
+
+        container.classList.add('open');
+        button.textContent = '▾ Hide sub-agent transcript';
+        if (container.dataset.loaded) return;
+
+        const chatPath = chatPathFor(container);
+        body.innerHTML = '<div class="sub-agent-status">Loading...</div>';
+
+        try {
+            const response = await fetch(`/api/subagent/${chatPath}/${encodeURIComponent(container.dataset.toolUseId)}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to load sub-agent transcript');
+
+            const messages = data.messages.map(msg => `
+                <div class="sub-agent-message">
+                    <span class="sub-agent-role ${msg.role}">${msg.role === 'user' ? 'Prompt' : 'Sub-agent'}</span>
+                    <div class="sub-agent-content">${msg.htmlContent || escapeHtml(msg.content)}</div>
+                </div>
+            `).join('');
+            const more = data.messageCount > data.messages.length
+                ? `${data.messageCount - data.messages.length} more messages in the full transcript. `
+                : '';
+
+            body.innerHTML = messages +
+                `<div class="sub-agent-status">${more}<a href="/chat/${data.projectDir}/${data.chatId}" target="_blank">Open ${escapeHtml(data.chatId)} ↗</a></div>`;
+            container.dataset.loaded = 'true';
+        } catch (error) {
+            body.innerHTML = `<div class="sub-agent-status">${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    // Full-size view of an image thumbnail, closed by clicking anywhere or pressing Escape
+    function zoomImage(link) {
+        const overlay = document.createElement('div');
+        overlay.className = 'image-zoom';
+        const image = document.createElement('img');
+        image.src = link.href;
+        image.alt = 'Pasted image';
+        overlay.appendChild(image);
+        overlay.addEventListener('click', closeZoomedImage);
+        document.body.appendChild(overlay);
+    }
+
+    function closeZoomedImage() {
+        document.querySelectorAll('.image-zoom').forEach(overlay => overlay.remove());
+    }
+
+    // Diff layout for Edit/MultiEdit calls (unified or side by side) - viewer-wide like reasoning
+    function setDiffMode(mode) {
+        document.documentElement.setAttribute('data-diff-mode', mode);
+        localStorage.setItem('diffMode', mode);
+    }
+
+    // Reasoning (extended thinking) visibility - viewer-wide, persisted like the theme
+    function reasoningShown() {
+        return document.documentElement.getAttribute('data-reasoning') !== 'hidden';
+    }
+
+    window.toggleReasoning = function() {
+        const state = reasoningShown() ? 'hidden' : 'shown';
+        document.documentElement.setAttribute('data-reasoning', state);
+        localStorage.setItem('reasoning', state);
+    };
+
+    // Download links include reasoning in the export while it is shown
+    function applyDownloadOptions(link) {
+        const url = new URL(link.href, window.location.origin);
+        if (reasoningShown()) {
+            url.searchParams.set('thinking', '1');
+        } else {
+            url.searchParams.delete('thinking');
+        }
+        link.href = url.pathname + url.search;
+    }
+
+    document.addEventListener('click', (e) => {
+        const moreButton = e.target.closest('.tool-result-more');
+        if (moreButton) {
+            e.preventDefault();
+            showFullOutput(moreButton);
+            return;
+        }
+
+        const subAgentButton = e.target.closest('.sub-agent-open');
+        if (subAgentButton) {
+            e.preventDefault();
+            toggleSubAgent(subAgentButton);
+            return;
+        }
+
+        const diffModeButton = e.target.closest('.diff-mode');
+        if (diffModeButton) {
+            setDiffMode(diffModeButton.dataset.mode);
+            return;
+        }
+
+        const imageLink = e.target.closest('.message-image');
+        if (imageLink) {
+            e.preventDefault();
+            zoomImage(imageLink);
+            return;
+        }
+
+        const downloadLink = e.target.closest('a[data-download]');
+        if (downloadLink) {
+            applyDownloadOptions(downloadLink);
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeZoomedImage();
+    });
+})();
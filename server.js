@@ -3,6 +3,88 @@ const fs = require('fs').promises;
 const path = require('path');
 const { marked } = require('marked');
 const moment = require('moment');
+const {
+  readConversation,
+  readTranscriptPage,
+  countTranscriptMatches,
+  findToolResult,
+  findToolUse,
+  findImage,
+  getTranscript,
+  resolveConversationBranches,
+  readTreeNodes,
+  messageText,
+  messageSearchText,
+  modelsUsed
+} = require('./lib/conversation-parser');
+const { describeTree } = require('./lib/conversation-tree');
+const { languageForPath } = require('./lib/languages');
+const {
+  IMAGE_EXTENSIONS,
+  modelLabel,
+  renderMessage,
+  changesSummaryHtml,
+  contentDiffHtml,
+  todoTimelineHtml,
+  fullTerminalOutputHtml,
+  highlightHtml,
+  escapeHtml,
+  exportMarkdown
+} = require('./lib/conversation-renderer');
+const { summarizeChanges } = require('./lib/file-changes');
+const { todoTimeline } = require('./lib/todo-timeline');
+const { filesTouched, listFiles, fileHistory } = require('./lib/files-touched');
+const { replayFile } = require('./lib/file-replay');
+const { resolveProjectPath, legacyProjectName } = require('./lib/projects');
+const { branchesOf, branchChangesWithMessages } = require('./lib/session-metadata');
+const { createZip } = require('./lib/zip-archive');
+const {
+  sumUsage,
+  totalTokens,
+  loadPricing,
+  estimateCost,
+  buildUsageReport,
+  formatTokens,
+  formatCost
+} = require('./lib/token-usage');
+const {
+  isSubAgentCall,
+  isSidechainConversation,
+  subAgentCalls,
+  linkSidechains,
+  findSubAgentChat
+} = require('./lib/sidechains');
+const { linkContinuations, threadSessionIds, isListedChat } = require('./lib/session-threads');
+const {
+  loadSearchIndex,
+  saveSearchIndex,
+  updateSearchIndex,
+  searchConversations,
+  searchSuggestions,
+  searchSnippets,
+  queryPattern
+} = require('./lib/search-index');
+const {
+  loadRelatedIndex,
+  saveRelatedIndex,
+  updateRelatedIndex,
+  relatedConversations
+} = require('./lib/related-conversations');
+const {
+  SavedSearchError,
+  loadSavedSearches,
+  addSavedSearch,
+  deleteSavedSearch
+} = require('./lib/saved-searches');
+const {
+  QUERY_FIELDS,
+  SearchQueryError,
+  parseSearchQuery,
+  searchModeFromParams,
+  compileSearchPattern,
+  findMatches,
+  splitRegexQuery
+} = require('./lib/search-query');
 
 marked.setOptions({
   mangle: false,
@@ -15,6 +97,18 @@ const PORT = 3101;
 // Path for history index
 const HISTORY_INDEX_PATH = path.join(__dirname, 'history-index.json');
 
+// Full-text search index, rebuilt from the conversation files when missing
+const SEARCH_INDEX_PATH = path.join(__dirname, 'search-index.json');
+
+// TF-IDF vectors of the conversations for the related conversations list, updated with the search index
+const RELATED_INDEX_PATH = path.join(__dirname, 'related-index.json');
+
+// Saved searches ("smart folders") shown in the explorer sidebar
+const SAVED_SEARCHES_PATH = path.join(__dirname, 'saved-searches.json');
+
+// User-editable model pricing used for cost estimates
+const PRICING_PATH = path.join(__dirname, 'pricing.json');
+
 // Generate a summary of the chat conversation with message indices
 function generateChatSummary(userMessages, assistantMessages, firstUserMessage, chatId) {
   if (userMessages.length === 0) return { summary: 'Empty conversation', anchors: [] };
@@ -118,6 +212,7 @@ function generateChatSummary(userMessages, assistantMessages, firstUserMessage,
 const CLAUDE_BASE_PATH = process.env.CLAUDE_PROJECTS_PATH || path.join(process.env.HOME, '.claude/projects');
 
 // Build folder tree from projects for explorer sidebar
+// chatsByProject is keyed by the encoded project directory; folders show the project path
 function buildFolderTree(chatsByProject) {
   const tree = {
     name: 'All Conversations',
@@ -128,12 +223,14 @@ function buildFolderTree(chatsByProject) {
 
   // Count total and build flat project list first
   const projects = [];
-  Object.entries(chatsByProject).forEach(([projectName, chats]) => {
-    tree.count += chats.length;
+  Object.entries(chatsByProject).forEach(([projectDir, chats]) => {
+    // Sub-agent runs and continued sessions are nested under other cards, not counted on their own
+    const listed = chats.filter(isListedChat);
+    tree.count += listed.length;
     projects.push({
-      name: projectName,
-      path: projectName,
-      count: chats.length,
+      name: chats[0].projectName,
+      path: projectDir,
+      count: listed.length,
       children: []
     });
   });
@@ -176,14 +273,13 @@ function groupChatsByMonth(allChats) {
 }
 
 // Get all chats as flat array with project info
+// Sub-agent runs linked to a parent are left out; they are nested under the parent's card.
+// So are sessions that were continued; they are nested under the latest session of their thread.
 function getAllChatsFlat(chatsByProject) {
   const allChats = [];
-  Object.entries(chatsByProject).forEach(([projectName, chats]) => {
-    chats.forEach(chat => {
-      allChats.push({
-        ...chat,
-        projectName
-      });
+  Object.values(chatsByProject).forEach(chats => {
+    chats.filter(isListedChat).forEach(chat => {
+      allChats.push({ ...chat });
     });
   });
   return allChats;
@@ -197,15 +293,6 @@ app.use('/js', express.static(path.join(__dirname, 'public/js')));
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Helper function to extract project name from encoded path
-function extractProjectName(encodedPath) {
-  // Remove leading dash and convert remaining dashes back to slashes
-  const decodedPath = encodedPath.substring(1).replace(/-/g, '/');
-  // Get just the last part of the path as the project name
-  const parts = decodedPath.split('/');
-  return parts[parts.length - 1] || 'Unknown Project';
-}
-
 // Helper function to update history index
 async function updateHistoryIndex(chatsByProject) {
   try {
@@ -218,20 +305,21 @@ async function updateHistoryIndex(chatsByProject) {
       // File doesn't exist or is invalid, start fresh
     }
 
-    // Convert existing index to a Map for efficient lookup
+    // Convert existing index to a Map for efficient lookup, keyed by project directory.
+    // Entries written before the directory was recorded are keyed by their old project name.
     const existingMap = new Map();
     existingIndex.forEach(thread => {
-      existingMap.set(`${thread.project}:${thread.id}`, thread);
+      existingMap.set(thread.projectDir ? `${thread.projectDir}:${thread.id}` : `legacy:${thread.project}:${thread.id}`, thread);
     });
 
     // Build new index
     const newIndex = [];
     let hasChanges = false;
 
-    Object.entries(chatsByProject).forEach(([projectName, chats]) => {
+    Object.entries(chatsByProject).forEach(([projectDir, chats]) => {
       chats.forEach(chat => {
-        const key = `${projectName}:${chat.id}`;
-        const existingThread = existingMap.get(key);
+        const existingThread = existingMap.get(`${projectDir}:${chat.id}`) ||
+          existingMap.get(`legacy:${legacyProjectName(projectDir)}:${chat.id}`);
         
         // Extract summary bullets (remove HTML tags)
         const bullets = chat.summary
@@ -255,14 +343,25 @@ async function updateHistoryIndex(chatsByProject) {
         
         const threadInfo = {
           id: chat.id,
-          project: projectName,
+          project: chat.projectName,
+          projectDir,
           date: chat.modifiedTime.toISOString(),
           firstSentence: firstSentence,
           oneLineSummary: existingThread?.oneLineSummary || existingThread?.oneLine,
           bulletSummary: existingThread?.bulletSummary || existingThread?.enhancedBullets || bullets,
           paragraphSummary: existingThread?.paragraphSummary || existingThread?.paragraph,
           messageCount: chat.messageCount,
-          lastMessageTimestamp: chat.lastMessageTimestamp
+          lastMessageTimestamp: chat.lastMessageTimestamp,
+          isSidechain: chat.isSidechain,
+          parentId: chat.parentId || null,
+          continuedFrom: chat.continuedFrom || null,
+          continuedIn: chat.continuedIn || [],
+          usage: chat.usage,
+          models: chat.models,
+          files: chat.files,
+          branchChanges: chat.branchChanges,
+          cwds: chat.cwds,
+          versions: chat.versions
         };
 
         // Check if this is new or has changed
@@ -275,6 +374,18 @@ async function updateHistoryIndex(chatsByProject) {
           
           // Mark for analysis
           threadInfo.needsAnalysis = true;
+        } else if (JSON.stringify(existingThread.usage) !== JSON.stringify(chat.usage) ||
+                   JSON.stringify(existingThread.models) !== JSON.stringify(chat.models) ||
+                   JSON.stringify(existingThread.files) !== JSON.stringify(chat.files) ||
+                   existingThread.projectDir !== projectDir ||
+                   existingThread.project !== chat.projectName ||
+                   JSON.stringify(existingThread.branchChanges) !== JSON.stringify(chat.branchChanges) ||
+                   JSON.stringify(existingThread.cwds) !== JSON.stringify(chat.cwds) ||
+                   JSON.stringify(existingThread.versions) !== JSON.stringify(chat.versions) ||
+                   (existingThread.continuedFrom || null) !== (chat.continuedFrom || null) ||
+                   JSON.stringify(existingThread.continuedIn || []) !== JSON.stringify(chat.continuedIn || [])) {
+          // Metadata (usage, models, files, project path, branches, continuations...) recorded for the first time - rewrite without re-running analysis
+          hasChanges = true;
         }
 
         newIndex.push(threadInfo);
@@ -327,19 +438,10 @@ async function runAnalysis() {
       const chatStart = Date.now();
       
       try {
-        // Find project directory
-        const projectDirs = await fs.readdir(CLAUDE_BASE_PATH);
-        let projectDir = null;
-        
-        for (const dir of projectDirs) {
-          if (dir.includes(chat.project.replace(/\//g, '-'))) {
-            projectDir = dir;
-            break;
-          }
-        }
-        
+        // The index records the project directory the chat was read from
+        const projectDir = chat.projectDir;
         if (!projectDir) continue;
-        
+
         // Get full conversation
         const messages = await getFullConversation(projectDir, chat.id);
         
@@ -347,7 +449,7 @@ async function runAnalysis() {
         const analysis = await analyzeChat(messages, chat.firstSentence || messages[0]?.content);
         
         // Update the index
-        const threadIndex = historyIndex.findIndex(t => t.id === chat.id);
+        const threadIndex = historyIndex.findIndex(t => t.projectDir === projectDir && t.id === chat.id);
         if (threadIndex !== -1) {
           historyIndex[threadIndex] = {
             ...historyIndex[threadIndex],
@@ -370,7 +472,7 @@ async function runAnalysis() {
       } catch (error) {
         if (error.code === 'ENOENT') {
           // File doesn't exist - remove stale entry from index
-          const staleIndex = historyIndex.findIndex(t => t.id === chat.id);
+          const staleIndex = historyIndex.findIndex(t => t.projectDir === chat.projectDir && t.id === chat.id);
           if (staleIndex !== -1) {
             console.log(`Removing stale chat entry: ${chat.id} (file not found)`);
             historyIndex.splice(staleIndex, 1);
@@ -410,9 +512,6 @@ app.get('/', async (req, res) => {
       
       if (!projectStat.isDirectory()) continue;
       
-      // Extract project name from the encoded directory name
-      const projectName = extractProjectName(projectDir);
-      
       // Read all .jsonl files from this project directory
       const files = await fs.readdir(projectPath);
       const jsonlFiles = files.filter(f => f.endsWith('.jsonl'));
@@ -422,133 +521,86 @@ app.get('/', async (req, res) => {
         jsonlFiles.map(async (filename) => {
           const filePath = path.join(projectPath, filename);
           const stats = await fs.stat(filePath);
-        
-        // Read content to get first user message for preview
-        const content = await fs.readFile(filePath, 'utf-8');
-        const lines = content.split('\n').filter(line => line.trim());
-        
-        let firstUserMessage = '';
-        let summary = '';
-        const userMessages = [];
-        const assistantMessages = [];
-        let actualMessageCount = 0; // Only count real user/assistant messages
-        
-        // Extract all messages for summarization
-        let chatSummary = '';
-        for (const line of lines) {
-          try {
-            const entry = JSON.parse(line);
-            // Capture summary from summary entries
-            if (entry.type === 'summary' && entry.summary) {
-              chatSummary = entry.summary;
-            }
-            if (entry.type === 'user' && entry.message && entry.message.role === 'user') {
-              let content = entry.message.content || '';
-              // Normalize content if it's an array of content blocks
-              if (Array.isArray(content)) {
-                content = content.map(b => b.text || '').join(' ').trim();
-              }
-              userMessages.push(content);
-              actualMessageCount++;
-              if (!firstUserMessage) {
-                firstUserMessage = content;
-              }
-            } else if (entry.type === 'assistant' && entry.message && entry.message.role === 'assistant') {
-              // Extract ALL content from assistant messages
-              let textContent = '';
-              if (Array.isArray(entry.message.content)) {
-                entry.message.content.forEach(item => {
-                  if (item.type === 'text') {
-                    textContent += item.text + ' ';
-                  } else if (item.type === 'tool_use') {
-                    // Include tool names and inputs
-                    textContent += `Tool: ${item.name} `;
-                    if (item.input) {
-                      textContent += JSON.stringify(item.input) + ' ';
-                    }
-                  } else if (item.type === 'tool_result') {
-                    // Include tool results
-                    if (item.content) {
-                      textContent += JSON.stringify(item.content) + ' ';
-                    }
-                  } else {
-                    // Include any other content types as JSON
-                    textContent += JSON.stringify(item) + ' ';
-                  }
-                });
-              } else if (typeof entry.message.content === 'string') {
-                textContent = entry.message.content;
-              }
-              if (textContent.trim()) {
-                assistantMessages.push(textContent.trim());
-                actualMessageCount++;
-              }
-            } else if (entry.type === 'tool_result' || entry.type === 'system') {
-              // Also capture tool results and system messages
-              let content = '';
-              if (entry.content) {
-                content = typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content);
-              } else if (entry.message && entry.message.content) {
-                content = typeof entry.message.content === 'string' ? entry.message.content : JSON.stringify(entry.message.content);
-              }
-              if (content.trim()) {
-                assistantMessages.push(content.trim());
-              }
-            }
-          } catch (e) {
-            continue;
-          }
-        }
-        
-        // Generate summary based on conversation content
-        const chatId = filename.replace('.jsonl', '');
-        const summaryResult = generateChatSummary(userMessages, assistantMessages, firstUserMessage, chatId);
-        
-        // Get last message timestamp
-        let lastMessageTimestamp = null;
-        for (let i = lines.length - 1; i >= 0; i--) {
-          try {
-            const entry = JSON.parse(lines[i]);
-            if (entry.timestamp) {
-              lastMessageTimestamp = entry.timestamp;
-              break;
-            }
-          } catch (e) {
-            continue;
-          }
-        }
-        
-        // Create searchable text from all messages
-        const searchableText = [...userMessages, ...assistantMessages].join(' ').toLowerCase();
-        
-        return {
-          id: chatId,
-          filename,
-          projectDir,
-          projectName,
-          modifiedTime: stats.mtime,
-          createdTime: stats.birthtime,
-          size: stats.size,
-          firstMessage: firstUserMessage || chatSummary || 'No preview available',
-          summary: summaryResult.summary || 'No summary available',
-          messageCount: actualMessageCount,
-          searchableText: searchableText, // Add full text for searching
-          lastMessageTimestamp: lastMessageTimestamp
-        };
+
+          // Parse the conversation for preview, summary and search text
+          const conversation = await readConversation(filePath);
+          const transcript = getTranscript(conversation);
+
+          const userMessages = transcript.filter(m => m.role === 'user').map(messageText);
+          const assistantMessages = transcript.filter(m => m.role === 'assistant').map(messageSearchText);
+          const firstUserMessage = userMessages[0] || '';
+
+          // Summary entries are only used as a preview fallback
+          const lastSummary = conversation.summaries[conversation.summaries.length - 1];
+          const chatSummary = lastSummary ? lastSummary.summary : '';
+
+          // Generate summary based on conversation content
+          const chatId = filename.replace('.jsonl', '');
+          const summaryResult = generateChatSummary(userMessages, assistantMessages, firstUserMessage, chatId);
+
+          return {
+            id: chatId,
+            filename,
+            projectDir,
+            cwds: conversation.metadata.cwds,
+            versions: conversation.metadata.versions,
+            gitBranches: branchesOf(conversation.metadata),
+            branchChanges: conversation.metadata.branchChanges.map(({ branch, timestamp }) => ({ branch, timestamp })),
+            modifiedTime: stats.mtime,
+            createdTime: stats.birthtime,
+            size: stats.size,
+            firstMessage: firstUserMessage || chatSummary || 'No preview available',
+            summary: summaryResult.summary || 'No summary available',
+            messageCount: transcript.length,
+            lastMessageTimestamp: conversation.lastTimestamp,
+            sessionId: conversation.sessionId,
+            isSidechain: isSidechainConversation(filename, conversation),
+            sidechainPrompt: firstUserMessage.trim(),
+            subAgentCalls: subAgentCalls(transcript),
+            usage: sumUsage(conversation.messages),
+            models: modelsUsed(conversation.messages),
+            files: filesTouched(transcript),
+            // Only used to link continued sessions below
+            leafUuids: conversation.summaries.map(summary => summary.leafUuid).filter(Boolean),
+            uuids: new Set(conversation.messages.map(message => message.uuid).filter(Boolean))
+          };
         })
       );
 
+      // Nest sub-agent runs under the sessions that spawned them
+      linkSidechains(projectChats);
+
+      // Chain resumed and compacted sessions into threads, listed under their latest session
+      const sessions = projectChats.filter(chat => !chat.isSidechain);
+      linkContinuations(sessions);
+      const sessionsById = new Map(sessions.map(chat => [chat.id, chat]));
+      sessions.filter(isListedChat).forEach(chat => {
+        const threadIds = threadSessionIds(sessionsById, chat.id);
+        chat.earlierSessions = threadIds.slice(0, threadIds.indexOf(chat.id)).reverse().map(id => sessionsById.get(id));
+      });
+      projectChats.forEach(chat => {
+        delete chat.leafUuids;
+        delete chat.uuids;
+      });
+
+      // The project path comes from the working directories recorded in its sessions
+      const projectName = resolveProjectPath(projectDir, projectChats.flatMap(chat => chat.cwds));
+      projectChats.forEach(chat => {
+        chat.projectName = projectName;
+      });
+
       if (projectChats.length > 0) {
-        chatsByProject[projectName] = projectChats;
+        chatsByProject[projectDir] = projectChats;
       }
     }
     
-    // Sort projects by name
-    const sortedProjects = Object.keys(chatsByProject).sort();
+    // Sort projects by path
+    const sortedProjects = Object.keys(chatsByProject)
+      .sort((a, b) => chatsByProject[a][0].projectName.localeCompare(chatsByProject[b][0].projectName));
     
     // Sort chats within each project by modified time (newest first)
-    sortedProjects.forEach(projectName => {
-      chatsByProject[projectName].sort((a, b) => b.modifiedTime - a.modifiedTime);
+    sortedProjects.forEach(projectDir => {
+      chatsByProject[projectDir].sort((a, b) => b.modifiedTime - a.modifiedTime);
     });
     
     // Calculate stats
@@ -562,9 +614,17 @@ app.get('/', async (req, res) => {
     // Update history index
     await updateHistoryIndex(chatsByProject);
 
+    // Cost estimates use the current pricing table, so they are not stored in the index
+    const pricing = await loadPricing(PRICING_PATH);
+    Object.values(chatsByProject).flat().forEach(chat => {
+      chat.totalTokens = totalTokens(chat.usage);
+      chat.cost = estimateCost(chat.usage, pricing).cost;
+    });
+
     // Run analysis in background (don't block page load)
     const analysisResults = { pending: true };
     runAnalysis().catch(err => console.error('Background analysis error:', err));
+    refreshSearchIndex().catch(err => console.error('Search index error:', err));
     
     // Load enhanced summaries from history index
     try {
@@ -574,13 +634,13 @@ app.get('/', async (req, res) => {
       // Create a map for quick lookup
       const enhancedSummaries = new Map();
       historyIndex.forEach(thread => {
-        enhancedSummaries.set(`${thread.project}:${thread.id}`, thread);
+        enhancedSummaries.set(`${thread.projectDir}:${thread.id}`, thread);
       });
       
       // Update chatsByProject with enhanced summaries
-      Object.entries(chatsByProject).forEach(([projectName, chats]) => {
+      Object.entries(chatsByProject).forEach(([projectDir, chats]) => {
         chats.forEach(chat => {
-          const key = `${projectName}:${chat.id}`;
+          const key = `${projectDir}:${chat.id}`;
           const enhanced = enhancedSummaries.get(key);
           if (enhanced && enhanced.paragraphSummary) {
             // Replace the basic summary with enhanced summary
@@ -601,6 +661,24 @@ app.get('/', async (req, res) => {
     const allChats = getAllChatsFlat(chatsByProject);
     const monthGroups = groupChatsByMonth(allChats);
 
+    // Model filter options, most used first
+    const modelCounts = new Map();
+    allChats.forEach(chat => {
+      chat.models.forEach(model => modelCounts.set(model, (modelCounts.get(model) || 0) + 1));
+    });
+    const modelOptions = [...modelCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([model, count]) => ({ model, label: modelLabel(model), count }));
+
+    // Git branch filter options, most used first
+    const branchCounts = new Map();
+    allChats.forEach(chat => {
+      chat.gitBranches.forEach(branch => branchCounts.set(branch, (branchCounts.get(branch) || 0) + 1));
+    });
+    const branchOptions = [...branchCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([branch, count]) => ({ branch, count }));
+
     res.render('index', {
       chatsByProject,
       sortedProjects,
@@ -613,7 +691,13 @@ app.get('/', async (req, res) => {
       analysisResults,
       folderTree,
       monthGroups,
-      allChats
+      allChats,
+      modelOptions,
+      branchOptions,
+      modelLabel,
+      currency: pricing.currency,
+      formatTokens,
+      formatCost
     });
   } catch (error) {
     console.error('Error reading chat histories:', error);
@@ -621,6 +705,87 @@ app.get('/', async (req, res) => {
   }
 });
 
+// Path under which a chat's image blocks are served (see /api/image)
+function imageBaseUrl(projectDir, chatId) {
+  return `/api/image/${encodeURIComponent(projectDir)}/${encodeURIComponent(chatId)}`;
+}
+
+// Links from a chat's changed files to their reconstructed content (see /file)
+function fileViewUrl(projectDir, chatId, leafUuid = null) {
+  return filePath => {
+    const params = new URLSearchParams({ path: filePath });
+    if (leafUuid) params.set('leaf', leafUuid);
+    return `/file/${encodeURIComponent(projectDir)}/${encodeURIComponent(chatId)}?${params}`;
+  };
+}
+
+// Title of a session in the history index
+function sessionTitle(thread) {
+  return thread.oneLineSummary || thread.firstSentence || `Session ${thread.id.substring(0, 8)}`;
+}
+
+// Continued sessions around chat `chatId`, from the links stored in the history index:
+// { continuedFrom, continuedIn: [...], sessions: [...] } with { id, title, date, messageCount } entries,
+// sessions listing the whole thread oldest first
+async function loadSessionThread(projectDir, chatId) {
+  const threads = (await readHistoryIndex()).filter(thread => thread.projectDir === projectDir && !thread.isSidechain);
+  const byId = new Map(threads.map(thread => [thread.id, thread]));
+  const describe = id => {
+    const thread = byId.get(id);
+    return { id, title: sessionTitle(thread), date: thread.date, messageCount: thread.messageCount };
+  };
+
+  const current = byId.get(chatId);
+  if (!current) return { continuedFrom: null, continuedIn: [], sessions: [] };
+  return {
+    continuedFrom: current.continuedFrom && byId.has(current.continuedFrom) ? describe(current.continuedFrom) : null,
+    continuedIn: (current.continuedIn || []).filter(id => byId.has(id)).map(describe),
+    sessions: threadSessionIds(byId, chatId).map(describe)
+  };
+}
+
+// Transcript of a whole thread: the sessions' transcripts one after another. A resumed session's
+// file repeats messages from the one it continues, so messages already seen are left out.
+// Returns { transcript, sessions: [{ id, startIndex, messageCount }], metadata } where metadata
+// merges the sessions' branches (message indices into the thread transcript), cwds and versions.
+async function readThreadTranscript(projectDir, sessionIds) {
+  const seen = new Set();
+  const transcript = [];
+  const sessions = [];
+  const metadata = { branchChanges: [], cwds: [], versions: [] };
+
+  for (const id of sessionIds) {
+    const conversation = await readConversation(path.join(CLAUDE_BASE_PATH, projectDir, `${id}.jsonl`));
+    const added = getTranscript(conversation).filter(message => {
+      if (!message.uuid) return true;
+      if (seen.has(message.uuid)) return false;
+      seen.add(message.uuid);
+      return true;
+    });
+
+    const startIndex = transcript.length;
+    branchChangesWithMessages(conversation.metadata, added.map(message => message.line)).forEach(change => {
+      const last = metadata.branchChanges[metadata.branchChanges.length - 1];
+      if (last && last.branch === change.branch) return;
+      metadata.branchChanges.push({ ...change, messageIndex: change.messageIndex === null ? null : startIndex + change.messageIndex });
+    });
+    conversation.metadata.cwds.forEach(cwd => metadata.cwds.includes(cwd) || metadata.cwds.push(cwd));
+    conversation.metadata.versions.forEach(version => metadata.versions.includes(version) || metadata.versions.push(version));
+
+    sessions.push({ id, startIndex, messageCount: added.length });
+    transcript.push(...added);
+  }
+
+  return { transcript, sessions, metadata };
+}
+
+// Highlight pattern for the chat page and the Markdown download: the search text as written, or
+// in regex mode the expression without the field filters around it (null when only filters are left)
+function chatSearchPattern(searchTerm, mode) {
+  const text = mode.regex ? splitRegexQuery(searchTerm).expression : searchTerm;
+  return text ? compileSearchPattern(text, mode) : null;
+}
+
 // View individual chat
 app.get('/chat/:project/:id', async (req, res) => {
   try {
@@ -628,202 +793,99 @@ app.get('/chat/:project/:id', async (req, res) => {
     const projectPath = path.join(CLAUDE_BASE_PATH, req.params.project);
     const filePath = path.join(projectPath, filename);
     const searchTerm = req.query.search || null;
+    // ?regex=1, ?case=1 and ?word=1 choose how the search term matches
+    const searchMode = searchModeFromParams(req.query);
+    const thread = await loadSessionThread(req.params.project, req.params.id);
+    // ?thread=1 shows every session of a continued thread as one transcript (latest branches only)
+    const wholeThread = req.query.thread === '1' && thread.sessions.length > 1;
+    const leafUuid = wholeThread ? null : req.query.leaf || null;
     
-    // Read the JSONL file
-    const content = await fs.readFile(filePath, 'utf-8');
-    const lines = content.split('\n').filter(line => line.trim());
-    
-    // Parse each line - handle Claude Code JSONL format
-    const messages = lines.map((line, index) => {
-      try {
-        const entry = JSON.parse(line);
-        
-        // Extract the actual message from the Claude Code format
-        if (entry.message) {
-          const msg = entry.message;
-          
-          // Handle user messages
-          if (entry.type === 'user' && msg.role === 'user') {
-            return {
-              role: 'user',
-              content: msg.content || '',
-              htmlContent: msg.content ? marked(msg.content) : null,
-              timestamp: entry.timestamp
-            };
-          }
-          
-          // Handle assistant messages
-          if (entry.type === 'assistant' && msg.role === 'assistant') {
-            // Extract text content from content array
-            let textContent = '';
-            if (Array.isArray(msg.content)) {
-              msg.content.forEach(item => {
-                if (item.type === 'text') {
-                  textContent += item.text + '\n';
-                } else if (item.type === 'tool_use') {
-                  textContent += `\n**Tool Call: ${item.name}**\n`;
-                  if (item.input) {
-                    // Check if this is a Write tool call with file content
-                    if (item.name === 'Write' && item.input.file_path && item.input.content) {
-                      const filePath = item.input.file_path;
-                      const fileExt = filePath.split('.').pop()?.toLowerCase();
-                      const content = item.input.content;
-
-                      // Show filename prominently
-                      const fileName = filePath.split('/').pop();
-                      textContent += `\n\`${fileName}\`\n\n`;
-
-                      // Format content based on file extension
-                      let language = '';
-                      switch (fileExt) {
-                        case 'md':
-                        case 'markdown':
-                          // For markdown files, render the content in a box
-                          textContent += '---\n\n';
-                          textContent += content + '\n\n';
-                          textContent += '---\n\n';
-                          break;
-                        case 'js':
-                        case 'jsx':
-                          language = 'javascript';
-                          break;
-                        case 'ts':
-                        case 'tsx':
-                          language = 'typescript';
-                          break;
-                        case 'py':
-                          language = 'python';
-                          break;
-                        case 'html':
-                          language = 'html';
-                          break;
-                        case 'css':
-                          language = 'css';
-                          break;
-                        case 'json':
-                          language = 'json';
-                          break;
-                        case 'yml':
-                        case 'yaml':
-                          language = 'yaml';
-                          break;
-                        case 'xml':
-                          language = 'xml';
-                          break;
-                        case 'sql':
-                          language = 'sql';
-                          break;
-                        case 'sh':
-                        case 'bash':
-                          language = 'bash';
-                          break;
-                        default:
-                          language = 'text';
-                      }
-
-                      // For non-markdown files, use syntax highlighting
-                      if (fileExt !== 'md' && fileExt !== 'markdown') {
-                        textContent += `\`\`\`${language}\n${content}\n\`\`\`\n`;
-                      }
-                    } else if (item.name === 'Read' && item.input.file_path) {
-                      // Read tool - just show the filename being read
-                      const fileName = item.input.file_path.split('/').pop();
-                      textContent += `\n\`${fileName}\`\n`;
-                    } else {
-                      // Regular tool input display - skip if empty or too simple
-                      const inputStr = JSON.stringify(item.input, null, 2);
-                      if (inputStr && inputStr !== '{}' && inputStr !== 'null') {
-                        textContent += '```json\n' + inputStr + '\n```\n';
-                      }
-                    }
-                  }
-                }
-              });
-            } else if (typeof msg.content === 'string') {
-              textContent = msg.content;
-            }
-            
-            return {
-              role: 'assistant',
-              content: textContent.trim(),
-              htmlContent: textContent ? marked(textContent.trim()) : null,
-              timestamp: entry.timestamp,
-              model: msg.model
-            };
-          }
-        }
-        
-        // Handle tool results that might contain file content
-        if (entry.type === 'tool_result' && entry.content) {
-          // Try to detect if this is file content based on the tool that was called
-          const content = typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content);
-          
-          return {
-            role: 'tool_result',
-            content: content,
-            htmlContent: content ? marked('```\n' + content + '\n```') : null,
-            timestamp: entry.timestamp
-          };
-        }
-        
-        // Skip sidechain messages and other non-content entries
-        return null;
-        
-      } catch (e) {
-        console.error(`Error parsing line ${index + 1}:`, e);
-        return null;
-      }
-    }).filter(msg => msg !== null)
-      .filter(msg => !(msg.role === 'assistant' && (!msg.content || msg.content.trim() === ''))); // Remove null and empty assistant messages
+    // Parse the conversation into rendered transcript messages along the selected branch
+    const conversation = await readConversation(filePath);
+    const branches = wholeThread ? null : resolveConversationBranches(conversation, leafUuid);
+    const threadTranscript = wholeThread ? await readThreadTranscript(req.params.project, thread.sessions.map(session => session.id)) : null;
+    const transcript = wholeThread ? threadTranscript.transcript : getTranscript(conversation, { leafUuid });
+    const metadata = wholeThread ? threadTranscript.metadata : conversation.metadata;
+
+    // Images are served from the session file they were recorded in
+    const sessionStarts = new Map((threadTranscript?.sessions || []).map((session, i) => [session.startIndex, { ...thread.sessions[i], number: i + 1 }]));
+    let sessionId = req.params.id;
+    const messages = transcript.map((message, index) => {
+      const sessionStart = sessionStarts.get(index) || null;
+      if (sessionStart) sessionId = sessionStart.id;
+      return {
+        ...renderMessage(message, { imageBaseUrl: imageBaseUrl(req.params.project, sessionId) }),
+        branch: branches?.branches.get(message.uuid) || null,
+        sessionStart
+      };
+    });
+    const imageCount = transcript.reduce(
+      (count, message) => count + message.blocks.filter(block => block.type === 'image').length, 0
+    );
 
     // Store original messages before highlighting for title extraction
     const originalMessages = messages.map(msg => ({ ...msg }));
     
-    // Add search highlighting if search term is provided
+    // Add search highlighting if search term is provided. Every match becomes a numbered
+    // search_N anchor for the hit navigator; an invalid regular expression, or one too slow to
+    // match, is shown (without highlights), not thrown.
     let globalSearchCounter = 0; // Global counter for unique IDs
-    
-    function highlightSearchTerm(text, searchTerm) {
-      if (!searchTerm || !text) return text;
-      const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-      
-      // Don't highlight inside markdown headers (### filename)
-      const lines = text.split('\n');
-      const processedLines = lines.map(line => {
-        if (line.trim().startsWith('### ')) {
-          return line; // Don't highlight header lines
-        }
-        return line.replace(regex, (match) => {
-          globalSearchCounter++;
-          return `<a id="search_${globalSearchCounter}" class="search-highlight">${match}</a>`;
-        });
-      });
-      
-      return processedLines.join('\n');
-    }
-    
-    // Apply highlighting to messages if search term exists
+    let searchError = null;
+    let searchPattern = null;
     if (searchTerm) {
-      messages.forEach(msg => {
-        // Only highlight in htmlContent to avoid double counting
-        if (msg.htmlContent) {
-          msg.htmlContent = highlightSearchTerm(msg.htmlContent, searchTerm);
-        } else if (msg.content) {
-          // Only highlight plain content if there's no HTML version
-          msg.content = highlightSearchTerm(msg.content, searchTerm);
-        }
-      });
+      try {
+        searchPattern = chatSearchPattern(searchTerm, searchMode);
+      } catch (error) {
+        if (!(error instanceof SearchQueryError)) throw error;
+        searchError = error.message;
+      }
+    }
+
+    const searchAnchor = match => {
+      globalSearchCounter++;
+      return `<a id="search_${globalSearchCounter}" class="search-highlight">${escapeHtml(match)}</a>`;
+    };
+
+    if (searchPattern) {
+      try {
+        const highlighted = messages.map(msg => {
+          // Only highlight in htmlContent to avoid double counting; plain content is escaped into it
+          const html = msg.htmlContent || (msg.content ? escapeHtml(msg.content).replace(/\n/g, '<br>') : null);
+          const marked = highlightHtml(html, searchPattern, searchAnchor);
+          return marked !== html ? marked : msg.htmlContent;
+        });
+        messages.forEach((msg, i) => { msg.htmlContent = highlighted[i]; });
+      } catch (error) {
+        if (!(error instanceof SearchQueryError)) throw error;
+        searchError = error.message;
+        globalSearchCounter = 0;
+      }
     }
     
     res.render('chat', { 
       chatId: req.params.id,
       projectDir: req.params.project,
-      projectName: extractProjectName(req.params.project),
+      projectName: resolveProjectPath(req.params.project, metadata.cwds),
+      session: {
+        branchChanges: wholeThread ? metadata.branchChanges : branchChangesWithMessages(metadata, transcript.map(message => message.line)),
+        cwds: metadata.cwds,
+        versions: metadata.versions
+      },
+      thread,
+      wholeThread,
       messages,
       originalMessages, // Pass original unhighlighted messages for title
       moment,
       messageCount: messages.length,
       searchTerm: searchTerm,
-      searchCount: globalSearchCounter
+      searchMode,
+      searchError,
+      searchCount: globalSearchCounter,
+      leafUuid,
+      imageCount,
+      // File reconstruction replays one session's file, so it is not linked from the whole thread
+      changesHtml: changesSummaryHtml(summarizeChanges(transcript), { fileUrl: wholeThread ? null : fileViewUrl(req.params.project, req.params.id, leafUuid) }),
+      tasksHtml: todoTimelineHtml(todoTimeline(transcript))
     });
   } catch (error) {
     console.error('Error reading chat:', error);
@@ -831,90 +893,86 @@ app.get('/chat/:project/:id', async (req, res) => {
   }
 });
 
+// Page size limits for the chat API
+const CHAT_PAGE_SIZE = 50;
+const CHAT_PAGE_MAX = 500;
+
+// Highlighting for the explorer's detail panel: ?search= is the search box query (with the
+// ?regex= ?case= ?word= modes), so the words the results matched are marked. null without a
+// search or when the query is invalid (the search box shows that error).
+function detailSearchPattern(params) {
+  if (!params.search) return null;
+  try {
+    return queryPattern(parseSearchQuery(String(params.search), searchModeFromParams(params)));
+  } catch (error) {
+    if (error instanceof SearchQueryError) return null;
+    throw error;
+  }
+}
+
+// Mark the search matches in a rendered message: { htmlContent, hits }. Messages without HTML
+// are escaped the way the detail panel shows them.
+function highlightSearchHits(rendered, pattern) {
+  let hits = 0;
+  const html = rendered.htmlContent || (rendered.content ? escapeHtml(rendered.content) : null);
+  const highlighted = highlightHtml(html, pattern, match => {
+    hits++;
+    return `<mark class="search-highlight">${escapeHtml(match)}</mark>`;
+  });
+  return { htmlContent: hits > 0 ? highlighted : rendered.htmlContent, hits };
+}
+
 // API endpoint for chat data (JSON) - used by 3-panel layout
+// Streams the file and returns one page of messages:
+//   ?offset=N&limit=M  - messages N..N+M-1
+//   ?around=N&limit=M  - a page centred on message N
+//   ?leaf=UUID         - follow the branch ending at this message instead of the latest one
 app.get('/api/chat/:project/:id', async (req, res) => {
   try {
     const filename = `${req.params.id}.jsonl`;
     const projectPath = path.join(CLAUDE_BASE_PATH, req.params.project);
     const filePath = path.join(projectPath, filename);
 
-    const content = await fs.readFile(filePath, 'utf-8');
-    const lines = content.split('\n').filter(line => line.trim());
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || CHAT_PAGE_SIZE, CHAT_PAGE_MAX));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const around = req.query.around !== undefined ? Math.max(0, parseInt(req.query.around, 10) || 0) : null;
 
-    const messages = lines.map((line) => {
+    const page = await readTranscriptPage(filePath, { offset, limit, around, leafUuid: req.query.leaf || null });
+    const pricing = await loadPricing(PRICING_PATH);
+    const messages = page.messages.map(({ index, message }) => {
+      const rendered = renderMessage(message, { imageBaseUrl: imageBaseUrl(req.params.project, req.params.id) });
+      return { index, ...rendered, branch: page.branches.get(message.uuid) || null };
+    });
+    // A pattern too slow to match leaves the page unmarked; the hits route reports the error
+    const searchPattern = detailSearchPattern(req.query);
+    if (searchPattern) {
       try {
-        const entry = JSON.parse(line);
-        if (entry.message) {
-          const msg = entry.message;
-
-          if (entry.type === 'user' && msg.role === 'user') {
-            return {
-              role: 'user',
-              content: msg.content || '',
-              htmlContent: msg.content ? marked(msg.content) : null,
-              timestamp: entry.timestamp
-            };
-          }
-
-          if (entry.type === 'assistant' && msg.role === 'assistant') {
-            let textContent = '';
-            if (Array.isArray(msg.content)) {
-              msg.content.forEach(item => {
-                if (item.type === 'text') {
-                  textContent += item.text + '\n';
-                } else if (item.type === 'tool_use') {
-                  textContent += `\n**Tool Call: ${item.name}**\n`;
-                  if (item.input) {
-                    if (item.name === 'Write' && item.input.file_path && item.input.content) {
-                      const fp = item.input.file_path;
-                      const ext = fp.split('.').pop()?.toLowerCase();
-                      const fn = fp.split('/').pop();
-                      textContent += `\n\`${fn}\`\n\n`;
-                      const langMap = { js: 'javascript', jsx: 'javascript', ts: 'typescript', tsx: 'typescript', py: 'python', html: 'html', css: 'css', json: 'json', yml: 'yaml', yaml: 'yaml', xml: 'xml', sql: 'sql', sh: 'bash', bash: 'bash' };
-                      if (ext !== 'md' && ext !== 'markdown') {
-                        textContent += `\`\`\`${langMap[ext] || 'text'}\n${item.input.content}\n\`\`\`\n`;
-                      } else {
-                        textContent += '---\n\n' + item.input.content + '\n\n---\n\n';
-                      }
-                    } else if (item.name === 'Read' && item.input.file_path) {
-                      textContent += `\n\`${item.input.file_path.split('/').pop()}\`\n`;
-                    } else {
-                      const inputStr = JSON.stringify(item.input, null, 2);
-                      if (inputStr && inputStr !== '{}' && inputStr !== 'null') {
-                        textContent += '```json\n' + inputStr + '\n```\n';
-                      }
-                    }
-                  }
-                }
-              });
-            } else if (typeof msg.content === 'string') {
-              textContent = msg.content;
-            }
-            return {
-              role: 'assistant',
-              content: textContent.trim(),
-              htmlContent: textContent ? marked(textContent.trim()) : null,
-              timestamp: entry.timestamp
-            };
-          }
-        }
-        return null;
-      } catch (e) {
-        return null;
+        messages.map(message => highlightSearchHits(message, searchPattern).htmlContent)
+          .forEach((htmlContent, i) => { messages[i].htmlContent = htmlContent; });
+      } catch (error) {
+        if (!(error instanceof SearchQueryError)) throw error;
       }
-    }).filter(msg => msg !== null)
-      .filter(msg => !(msg.role === 'assistant' && (!msg.content || msg.content.trim() === '')));
+    }
 
     // Get first user message for title
-    const firstUserMsg = messages.find(m => m.role === 'user');
-    const title = firstUserMsg?.content?.split('\n')[0]?.substring(0, 100) || 'Chat';
+    const title = page.firstUserText.split('\n')[0].substring(0, 100) || 'Chat';
 
     res.json({
       chatId: req.params.id,
       projectDir: req.params.project,
-      projectName: extractProjectName(req.params.project),
+      projectName: resolveProjectPath(req.params.project, page.cwds),
       title,
-      messageCount: messages.length,
+      messageCount: page.total,
+      offset: page.offset,
+      limit,
+      hasMoreBefore: page.offset > 0,
+      hasMoreAfter: page.offset + messages.length < page.total,
+      imageCount: page.imageCount,
+      session: { branchChanges: page.branchChanges, cwds: page.cwds, versions: page.versions },
+      thread: await loadSessionThread(req.params.project, req.params.id),
+      usage: page.usage,
+      cost: { ...estimateCost(page.usage, pricing), currency: pricing.currency },
+      leafUuid: page.leafUuid,
       messages
     });
   } catch (error) {
@@ -923,88 +981,543 @@ app.get('/api/chat/:project/:id', async (req, res) => {
   }
 });
 
+// Search hits in a whole chat for the detail panel's hit navigator (?search= and modes as for
+// /api/chat, ?leaf= for another branch): { total, messages: [{ index, hits }], pattern } in
+// transcript order, with the highlight pattern ({ source, flags }) so the explorer can mark the
+// messages it already shows. Counted on the text while streaming the file, without rendering, so
+// a count can differ from the marks in a rendered message (the explorer counts those itself).
+app.get('/api/chat/:project/:id/hits', async (req, res) => {
+  try {
+    const filePath = path.join(CLAUDE_BASE_PATH, req.params.project, `${req.params.id}.jsonl`);
+    const searchPattern = detailSearchPattern(req.query);
+    if (!searchPattern) {
+      await fs.access(filePath);
+      return res.json({ total: 0, messages: [], pattern: null });
+    }
+
+    const countText = text => findMatches(text, searchPattern).length;
+    const { counts } = await countTranscriptMatches(filePath, countText, { leafUuid: req.query.leaf || null });
+    const messages = [...counts.entries()].sort((a, b) => a[0] - b[0]).map(([index, hits]) => ({ index, hits }));
+
+    res.json({
+      total: messages.reduce((total, message) => total + message.hits, 0),
+      messages,
+      pattern: { source: searchPattern.source, flags: searchPattern.flags }
+    });
+  } catch (error) {
+    if (error instanceof SearchQueryError) return res.status(400).json({ error: error.message });
+    console.error('Error finding search hits:', error);
+    res.status(404).json({ error: 'Chat not found' });
+  }
+});
+
+// Message tree of a chat: every node with its parent, the fork points and the leaves
+app.get('/api/tree/:project/:id', async (req, res) => {
+  try {
+    const filePath = path.join(CLAUDE_BASE_PATH, req.params.project, `${req.params.id}.jsonl`);
+    const nodes = await readTreeNodes(filePath);
+
+    res.json({
+      chatId: req.params.id,
+      projectDir: req.params.project,
+      ...describeTree(nodes, req.query.leaf || null)
+    });
+  } catch (error) {
+    console.error('Error reading chat tree:', error);
+    res.status(404).json({ error: 'Chat not found' });
+  }
+});
+
+// Files changed by Write/Edit/MultiEdit calls along the selected branch, with links to the messages
+app.get('/api/changes/:project/:id', async (req, res) => {
+  try {
+    const filePath = path.join(CLAUDE_BASE_PATH, req.params.project, `${req.params.id}.jsonl`);
+    const conversation = await readConversation(filePath);
+    const leafUuid = req.query.leaf || null;
+    const files = summarizeChanges(getTranscript(conversation, { leafUuid }));
+
+    res.json({
+      chatId: req.params.id,
+      projectDir: req.params.project,
+      files: files.map(file => ({ ...file, language: languageForPath(file.filePath) })),
+      html: changesSummaryHtml(files, { fileUrl: fileViewUrl(req.params.project, req.params.id, leafUuid) })
+    });
+  } catch (error) {
+    console.error('Error reading chat changes:', error);
+    res.status(404).json({ error: 'Chat not found' });
+  }
+});
+
+// A file as reconstructed from a chat's Write/Edit calls (see lib/file-replay.js):
+//   ?path=P     - the file, as named in the tool calls
+//   ?at=N       - replay up to and including message N (default: the whole chat)
+//   ?from=M     - also diff the content at message M (-1 = before the chat) against message N
+//   ?leaf=UUID  - follow the branch ending at this message
+async function loadFileReplay(params, query) {
+  const chatPath = path.join(CLAUDE_BASE_PATH, params.project, `${params.id}.jsonl`);
+  const conversation = await readConversation(chatPath);
+  const leafUuid = query.leaf || null;
+  const transcript = getTranscript(conversation, { leafUuid });
+  const filePath = typeof query.path === 'string' ? query.path : '';
+
+  const { steps } = replayFile(transcript, filePath);
+  const parsePoint = value => {
+    const point = parseInt(value, 10);
+    return Number.isNaN(point) ? null : Math.max(point, -1);
+  };
+  const lastStep = steps.length > 0 ? steps[steps.length - 1].messageIndex : -1;
+  const at = query.at !== undefined && parsePoint(query.at) !== null ? parsePoint(query.at) : lastStep;
+  const from = query.from !== undefined ? parsePoint(query.from) : null;
+
+  const current = replayFile(transcript, filePath, { upTo: at });
+  const previous = from !== null ? replayFile(transcript, filePath, { upTo: from }) : null;
+  const firstUser = transcript.find(message => message.role === 'user');
+
+  return {
+    chatId: params.id,
+    projectDir: params.project,
+    projectName: resolveProjectPath(params.project, conversation.metadata.cwds),
+    title: (firstUser ? messageText(firstUser) : '').split('\n')[0].substring(0, 100) || 'Chat',
+    leafUuid,
+    path: filePath,
+    language: languageForPath(filePath),
+    steps,
+    at,
+    from,
+    content: current.content,
+    known: current.known,
+    // Conflicts in the replay so far make the content at this point unreliable
+    conflicts: current.steps.filter(step => step.status === 'conflict'),
+    fromContent: previous ? previous.content : null,
+    diffHtml: previous ? contentDiffHtml(filePath, previous.content, current.content) : null
+  };
+}
+
+app.get('/file/:project/:id', async (req, res) => {
+  try {
+    const replay = await loadFileReplay(req.params, req.query);
+    if (req.query.raw) {
+      if (!replay.known) return res.status(404).send('File content is not known at this point');
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${path.basename(replay.path).replace(/"/g, '')}"`);
+      return res.send(replay.content);
+    }
+    res.render('file', { ...replay });
+  } catch (error) {
+    console.error('Error reconstructing file:', error);
+    res.status(404).send('Chat not found');
+  }
+});
+
+app.get('/api/file/:project/:id', async (req, res) => {
+  try {
+    res.json(await loadFileReplay(req.params, req.query));
+  } catch (error) {
+    console.error('Error reconstructing file:', error);
+    res.status(404).json({ error: 'Chat not found' });
+  }
+});
+
+// How the TodoWrite list changed along the selected branch, each step linked to its message
+app.get('/api/tasks/:project/:id', async (req, res) => {
+  try {
+    const filePath = path.join(CLAUDE_BASE_PATH, req.params.project, `${req.params.id}.jsonl`);
+    const conversation = await readConversation(filePath);
+    const steps = todoTimeline(getTranscript(conversation, { leafUuid: req.query.leaf || null }));
+
+    res.json({
+      chatId: req.params.id,
+      projectDir: req.params.project,
+      steps,
+      html: todoTimelineHtml(steps)
+    });
+  } catch (error) {
+    console.error('Error reading chat tasks:', error);
+    res.status(404).json({ error: 'Chat not found' });
+  }
+});
+
+// Full output of a single tool call - used by "show full output" on truncated results
+app.get('/api/tool-result/:project/:id/:toolUseId', async (req, res) => {
+  try {
+    const filePath = path.join(CLAUDE_BASE_PATH, req.params.project, `${req.params.id}.jsonl`);
+    const result = await findToolResult(filePath, req.params.toolUseId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Tool result not found' });
+    }
+
+    res.json({
+      toolUseId: result.toolUseId,
+      isError: result.isError,
+      content: result.content,
+      // Terminal blocks show shell output with ANSI colors
+      terminalHtml: fullTerminalOutputHtml(result)
+    });
+  } catch (error) {
+    console.error('Error reading tool result:', error);
+    res.status(404).json({ error: 'Chat not found' });
+  }
+});
+
+// Sub-agent transcript spawned by a Task call - used by the inline expansion in the parent transcript
+app.get('/api/subagent/:project/:id/:toolUseId', async (req, res) => {
+  try {
+    const projectPath = path.join(CLAUDE_BASE_PATH, req.params.project);
+    const call = await findToolUse(path.join(projectPath, `${req.params.id}.jsonl`), req.params.toolUseId);
+
+    if (!call || !isSubAgentCall(call)) {
+      return res.status(404).json({ error: 'Task call not found' });
+    }
+
+    const agentId = await findSubAgentChat(projectPath, req.params.id, call.input.prompt);
+    if (!agentId) {
+      return res.status(404).json({ error: 'Sub-agent transcript not found' });
+    }
+
+    const page = await readTranscriptPage(path.join(projectPath, `${agentId}.jsonl`), { limit: CHAT_PAGE_MAX });
+    res.json({
+      chatId: agentId,
+      projectDir: req.params.project,
+      description: call.input.description || '',
+      messageCount: page.total,
+      messages: page.messages.map(({ index, message }) => ({
+        index,
+        ...renderMessage(message, { imageBaseUrl: imageBaseUrl(req.params.project, agentId) })
+      }))
+    });
+  } catch (error) {
+    console.error('Error reading sub-agent transcript:', error);
+    res.status(404).json({ error: 'Chat not found' });
+  }
+});
+
+// Image block from a chat, addressed by entry line and image position within the message
+app.get('/api/image/:project/:id/:line/:index', async (req, res) => {
+  try {
+    const filePath = path.join(CLAUDE_BASE_PATH, req.params.project, `${req.params.id}.jsonl`);
+    const image = await findImage(filePath, parseInt(req.params.line, 10) || 0, parseInt(req.params.index, 10) || 0);
+
+    // Only serve known image types so stored data can never be sent as HTML
+    if (!image || !image.data || !IMAGE_EXTENSIONS[image.mediaType]) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.setHeader('Content-Type', image.mediaType);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.send(Buffer.from(image.data, 'base64'));
+  } catch (error) {
+    console.error('Error reading image:', error);
+    res.status(404).json({ error: 'Chat not found' });
+  }
+});
+
 // Download chat as markdown
+// ?images=1 downloads a .zip with the Markdown and the chat's images in a folder next to it
+// ?thread=1 downloads every session of a continued thread as one transcript
 app.get('/download/:project/:id', async (req, res) => {
   try {
     const filename = `${req.params.id}.jsonl`;
     const projectPath = path.join(CLAUDE_BASE_PATH, req.params.project);
     const filePath = path.join(projectPath, filename);
     const searchTerm = req.query.search || null;
-    
-    // Function to highlight search terms in markdown
-    function highlightSearchTermMarkdown(text, searchTerm) {
-      if (!searchTerm || !text) return text;
-      const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-      return text.replace(regex, '**$1**'); // Use bold for highlighting in markdown
+    let searchPattern = null;
+    try {
+      searchPattern = searchTerm ? chatSearchPattern(searchTerm, searchModeFromParams(req.query)) : null;
+    } catch (error) {
+      if (!(error instanceof SearchQueryError)) throw error;
+      return res.status(400).send(error.message);
     }
     
-    // Read the JSONL file
-    const content = await fs.readFile(filePath, 'utf-8');
-    const lines = content.split('\n').filter(line => line.trim());
-    
-    // Parse messages and convert to markdown
-    let markdown = `# Claude Chat History\n\n`;
-    markdown += `**Chat ID:** ${req.params.id}\n`;
-    markdown += `**Exported:** ${new Date().toLocaleString()}\n`;
-    if (searchTerm) {
-      markdown += `**Search Term:** "${searchTerm}"\n`;
+    const baseName = `claude-${req.query.thread === '1' ? 'thread' : 'chat'}-${req.params.id}`;
+    const images = [];
+    const imageFile = block => {
+      const name = `${baseName}-images/image-${images.length + 1}.${IMAGE_EXTENSIONS[block.mediaType]}`;
+      images.push({ name, data: Buffer.from(block.data, 'base64') });
+      return name;
+    };
+
+    // ?thread=1 exports every session of a continued thread, with a heading at each session
+    const thread = req.query.thread === '1' ? await loadSessionThread(req.params.project, req.params.id) : null;
+    let transcript;
+    let sessions = null;
+    if (thread && thread.sessions.length > 1) {
+      const threadTranscript = await readThreadTranscript(req.params.project, thread.sessions.map(session => session.id));
+      transcript = threadTranscript.transcript;
+      sessions = threadTranscript.sessions.map((session, i) => ({ ...session, title: thread.sessions[i].title }));
+    } else {
+      transcript = getTranscript(await readConversation(filePath), { leafUuid: req.query.leaf || null });
     }
-    markdown += `\n---\n\n`;
-    
-    lines.forEach((line) => {
-      try {
-        const entry = JSON.parse(line);
-        
-        if (entry.message) {
-          const msg = entry.message;
-          const timestamp = entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '';
-          
-          // User messages
-          if (entry.type === 'user' && msg.role === 'user') {
-            markdown += `## You\n`;
-            if (timestamp) markdown += `*${timestamp}*\n\n`;
-            const userContent = msg.content || '';
-            markdown += `${highlightSearchTermMarkdown(userContent, searchTerm)}\n\n`;
-          }
-          
-          // Assistant messages
-          if (entry.type === 'assistant' && msg.role === 'assistant') {
-            markdown += `## Claude\n`;
-            if (timestamp) markdown += `*${timestamp}*\n\n`;
-            
-            if (Array.isArray(msg.content)) {
-              msg.content.forEach(item => {
-                if (item.type === 'text') {
-                  markdown += `${highlightSearchTermMarkdown(item.text, searchTerm)}\n\n`;
-                } else if (item.type === 'tool_use') {
-                  markdown += `**Tool Call: ${item.name}**\n\n`;
-                  if (item.input) {
-                    const jsonString = JSON.stringify(item.input, null, 2);
-                    markdown += '```json\n' + highlightSearchTermMarkdown(jsonString, searchTerm) + '\n```\n\n';
-                  }
-                }
-              });
-            } else if (typeof msg.content === 'string') {
-              markdown += `${highlightSearchTermMarkdown(msg.content, searchTerm)}\n\n`;
-            }
-          }
-        }
-      } catch (e) {
-        // Skip unparseable lines
-      }
+
+    const markdown = exportMarkdown(transcript, {
+      chatId: req.params.id,
+      sessions,
+      searchTerm,
+      searchPattern,
+      includeThinking: req.query.thinking === '1',
+      imageFile: req.query.images === '1' ? imageFile : null
     });
-    
+
+    if (images.length > 0) {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+      return res.send(createZip([{ name: `${baseName}.md`, data: markdown }, ...images]));
+    }
+
     // Set headers for download
     res.setHeader('Content-Type', 'text/markdown');
-    res.setHeader('Content-Disposition', `attachment; filename="claude-chat-${req.params.id}.md"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.md"`);
     res.send(markdown);
     
   } catch (error) {
+    if (error instanceof SearchQueryError) return res.status(400).send(error.message);
     console.error('Error downloading chat:', error);
     res.status(404).send('Chat not found');
   }
 });
 
+// Search index and related conversation vectors, loaded on first use and kept in memory
+let searchIndex = null;
+let relatedIndex = null;
+let searchIndexRefresh = null;
+// Bumped whenever the index is loaded or changes, so the explorer knows when its counts are stale
+let searchIndexGeneration = 0;
+
+// Re-index conversation files added or changed since the last refresh (one refresh at a time),
+// then the vectors of the conversations that changed
+function refreshSearchIndex() {
+  if (!searchIndexRefresh) {
+    searchIndexRefresh = (async () => {
+      if (!searchIndex) {
+        searchIndex = await loadSearchIndex(SEARCH_INDEX_PATH);
+        searchIndexGeneration++;
+      }
+
+      const files = [];
+      for (const projectDir of await fs.readdir(CLAUDE_BASE_PATH)) {
+        const projectPath = path.join(CLAUDE_BASE_PATH, projectDir);
+        if (!(await fs.stat(projectPath)).isDirectory()) continue;
+        for (const filename of (await fs.readdir(projectPath)).filter(f => f.endsWith('.jsonl'))) {
+          const filePath = path.join(projectPath, filename);
+          const stats = await fs.stat(filePath);
+          files.push({ projectDir, id: filename.replace('.jsonl', ''), filePath, mtime: stats.mtimeMs, size: stats.size });
+        }
+      }
+
+      if (await updateSearchIndex(searchIndex, files)) {
+        searchIndexGeneration++;
+        await saveSearchIndex(SEARCH_INDEX_PATH, searchIndex);
+        console.log('Updated search-index.json with', files.length, 'conversations');
+      }
+
+      if (!relatedIndex) relatedIndex = await loadRelatedIndex(RELATED_INDEX_PATH);
+      if (updateRelatedIndex(relatedIndex, searchIndex)) {
+        await saveRelatedIndex(RELATED_INDEX_PATH, relatedIndex);
+        console.log('Updated related-index.json with', Object.keys(relatedIndex.conversations).length, 'conversations');
+      }
+      return searchIndex;
+    })().finally(() => {
+      searchIndexRefresh = null;
+    });
+  }
+  return searchIndexRefresh;
+}
+
+// Snippets are read from the conversation files, so only the best results get them
+const SEARCH_SNIPPET_RESULTS = 20;
+const SEARCH_RESULT_MAX = 1000;
+// Time a search may spend checking phrases and regular expressions against the transcripts
+const SEARCH_TIME_LIMIT = 10000;
+// Messages read for one result's snippets (a message without text gives no snippet)
+const SNIPPET_MESSAGES_MAX = 6;
+
+// Transcript of a conversation from the search index
+async function readIndexedTranscript(conversation) {
+  return getTranscript(await readConversation(path.join(CLAUDE_BASE_PATH, conversation.projectDir, `${conversation.id}.jsonl`)));
+}
+
+// Ranked full-text search over every message of every conversation
+//   ?q=query      - words (all must occur; a word also matches longer words it starts with),
+//                   "phrases", -exclusions, OR and field filters (see lib/search-query.js)
+//   ?regex=1      - the whole query is one regular expression (JavaScript syntax)
+//   ?case=1       - match case
+//   ?word=1       - whole words only (no prefix matches)
+//   ?limit=N      - at most N results
+// Each result has its score, hit count, matching message indices (best first) and, for the
+// first results, up to 3 highlighted snippets. An invalid query is answered with a 400 and its error.
+app.get('/api/search', async (req, res) => {
+  try {
+    const query = String(req.query.q || '');
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || SEARCH_RESULT_MAX, SEARCH_RESULT_MAX));
+    let parsed;
+    try {
+      parsed = parseSearchQuery(query, searchModeFromParams(req.query));
+    } catch (error) {
+      if (error instanceof SearchQueryError) return res.status(400).json({ query, error: error.message });
+      throw error;
+    }
+
+    const index = await refreshSearchIndex();
+    const { results: matches, complete } = await searchConversations(index, parsed, {
+      readTranscript: readIndexedTranscript,
+      timeLimit: SEARCH_TIME_LIMIT
+    });
+
+    const results = [];
+    for (const [rank, match] of matches.slice(0, limit).entries()) {
+      let snippets = [];
+      if (rank < SEARCH_SNIPPET_RESULTS) {
+        snippets = searchSnippets(await readIndexedTranscript(match), match.messageIndices, parsed);
+      }
+      results.push({
+        projectDir: match.projectDir,
+        id: match.id,
+        score: match.score,
+        hits: match.hits,
+        messageIndices: match.messageIndices,
+        snippets
+      });
+    }
+
+    res.json({ query, total: matches.length, complete, indexGeneration: searchIndexGeneration, results });
+  } catch (error) {
+    // A regular expression too slow to match is reported like an invalid one
+    if (error instanceof SearchQueryError) return res.status(400).json({ query: String(req.query.q || ''), error: error.message });
+    console.error('Error searching:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Snippets of some messages of one search result, for results beyond the first ones:
+// ?q= and the search modes as for /api/search, ?messages= the message indices (comma separated,
+// best first, as listed by the result). Answers { snippets } with up to 3 snippets.
+app.get('/api/search/snippets/:project/:id', async (req, res) => {
+  try {
+    let parsed;
+    try {
+      parsed = parseSearchQuery(String(req.query.q || ''), searchModeFromParams(req.query));
+    } catch (error) {
+      if (error instanceof SearchQueryError) return res.status(400).json({ error: error.message });
+      throw error;
+    }
+    const messageIndices = String(req.query.messages || '').split(',')
+      .map(value => parseInt(value, 10))
+      .filter(messageIndex => messageIndex >= 0)
+      .slice(0, SNIPPET_MESSAGES_MAX);
+
+    const transcript = await readIndexedTranscript({ projectDir: req.params.project, id: req.params.id });
+    res.json({ snippets: searchSnippets(transcript, messageIndices, parsed) });
+  } catch (error) {
+    if (error instanceof SearchQueryError) return res.status(400).json({ error: error.message });
+    console.error('Error reading search snippets:', error);
+    res.status(404).json({ error: 'Chat not found' });
+  }
+});
+
+// Field names and known values for the search box autocomplete
+app.get('/api/search/suggestions', async (req, res) => {
+  try {
+    const index = await refreshSearchIndex();
+    res.json({ fields: QUERY_FIELDS, values: searchSuggestions(index) });
+  } catch (error) {
+    console.error('Error loading search suggestions:', error);
+    res.status(500).json({ error: 'Could not load suggestions' });
+  }
+});
+
+const RELATED_RESULT_MAX = 50;
+
+// Conversations on the same topic as a chat, by TF-IDF similarity of their text:
+// { results: [{ projectDir, id, title, projectName, date, messageCount, score, terms }] } best first,
+// terms being the shared words that weigh most. Sessions of the chat's own thread and its
+// sub-agent runs are left out.
+app.get('/api/related/:project/:id', async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 10, RELATED_RESULT_MAX));
+    await refreshSearchIndex();
+    const threads = await readHistoryIndex();
+    const byKey = new Map(threads.map(thread => [`${thread.projectDir}/${thread.id}`, thread]));
+    const key = `${req.params.project}/${req.params.id}`;
+    const current = byKey.get(key);
+
+    const exclude = new Set((await loadSessionThread(req.params.project, req.params.id)).sessions
+      .map(session => `${req.params.project}/${session.id}`));
+    threads
+      .filter(thread => thread.projectDir === req.params.project &&
+        (thread.parentId === req.params.id || thread.id === current?.parentId))
+      .forEach(thread => exclude.add(`${thread.projectDir}/${thread.id}`));
+
+    // Matches outside the history index (not scanned yet) cannot be described, so they are skipped
+    const results = relatedConversations(relatedIndex, key, { exclude, limit: RELATED_RESULT_MAX })
+      .filter(match => byKey.has(match.key))
+      .slice(0, limit)
+      .map(match => {
+        const thread = byKey.get(match.key);
+        return {
+          projectDir: thread.projectDir,
+          id: thread.id,
+          title: sessionTitle(thread),
+          projectName: resolveProjectPath(thread.projectDir, thread.cwds),
+          date: thread.lastMessageTimestamp || thread.date,
+          messageCount: thread.messageCount,
+          score: match.score,
+          terms: match.terms
+        };
+      });
+
+    res.json({ results });
+  } catch (error) {
+    console.error('Error finding related conversations:', error);
+    res.status(500).json({ error: 'Could not find related conversations' });
+  }
+});
+
+// Saved searches ("smart folders"): { searches: [...] } in the order they were saved.
+// Match counts are worked out by the explorer, which runs each search like the search box does.
+app.get('/api/saved-searches', async (req, res) => {
+  try {
+    res.json({ searches: await loadSavedSearches(SAVED_SEARCHES_PATH) });
+  } catch (error) {
+    console.error('Error loading saved searches:', error);
+    res.status(500).json({ error: 'Could not load saved searches' });
+  }
+});
+
+// JSON request bodies; one that does not parse (or is too large) is a 400 like any other bad input
+const parseJson = express.json();
+function jsonBody(req, res, next) {
+  parseJson(req, res, error => {
+    if (error) return res.status(error.status || 400).json({ error: `Invalid request body: ${error.message}` });
+    next();
+  });
+}
+
+// Save a search: JSON { name, query, modes: { regex, case, word }, folder, dateFrom, dateTo, ignoreWarmup }.
+// Answers 201 with the saved search, or 400 with an error for a missing name or an invalid query.
+app.post('/api/saved-searches', jsonBody, async (req, res) => {
+  try {
+    res.status(201).json(await addSavedSearch(SAVED_SEARCHES_PATH, req.body || {}));
+  } catch (error) {
+    if (error instanceof SavedSearchError || error instanceof SearchQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving search:', error);
+    res.status(500).json({ error: 'Could not save the search' });
+  }
+});
+
+app.delete('/api/saved-searches/:id', async (req, res) => {
+  try {
+    if (!(await deleteSavedSearch(SAVED_SEARCHES_PATH, req.params.id))) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ error: 'Could not delete the saved search' });
+  }
+});
+
 // Route to view history index JSON
 app.get('/history-index.json', async (req, res) => {
   try {
@@ -1016,48 +1529,119 @@ app.get('/history-index.json', async (req, res) => {
   }
 });
 
+// Date range for usage analytics: ?range=7d|30d|month|last-month, or ?from=&to= (YYYY-MM-DD, inclusive)
+function usageRange(query) {
+  const presets = {
+    '7d': () => ({ from: moment().subtract(7, 'days').startOf('day') }),
+    '30d': () => ({ from: moment().subtract(30, 'days').startOf('day') }),
+    'month': () => ({ from: moment().startOf('month') }),
+    'last-month': () => ({
+      from: moment().subtract(1, 'month').startOf('month'),
+      to: moment().subtract(1, 'month').endOf('month')
+    })
+  };
+  const range = presets[query.range]
+    ? presets[query.range]()
+    : {
+        from: query.from ? moment(query.from, 'YYYY-MM-DD', true).startOf('day') : null,
+        to: query.to ? moment(query.to, 'YYYY-MM-DD', true).endOf('day') : null
+      };
+
+  return {
+    preset: presets[query.range] ? query.range : null,
+    from: range.from && range.from.isValid() ? range.from.toDate() : null,
+    to: range.to && range.to.isValid() ? range.to.toDate() : null
+  };
+}
+
+// Threads recorded in the history index (empty until the explorer has been opened once)
+async function readHistoryIndex() {
+  try {
+    return JSON.parse(await fs.readFile(HISTORY_INDEX_PATH, 'utf-8'));
+  } catch (e) {
+    // No index yet - it is written when the explorer is first opened
+    return [];
+  }
+}
+
+// Usage report built from the token totals stored in the history index
+async function loadUsageReport(query) {
+  const range = usageRange(query);
+  const pricing = await loadPricing(PRICING_PATH);
+  const threads = await readHistoryIndex();
+  return { range, pricing, report: buildUsageReport(threads, pricing, range) };
+}
+
+// Usage analytics: totals by project, model and month for a time range
+app.get('/analytics', async (req, res) => {
+  try {
+    const { range, pricing, report } = await loadUsageReport(req.query);
+    res.render('analytics', {
+      range,
+      pricing,
+      pricingPath: PRICING_PATH,
+      report,
+      moment,
+      formatTokens,
+      formatCost
+    });
+  } catch (error) {
+    console.error('Error building usage analytics:', error);
+    res.status(500).send('Error loading usage analytics');
+  }
+});
+
+// Usage analytics as JSON (same query parameters as /analytics)
+app.get('/api/usage', async (req, res) => {
+  try {
+    const { range, report } = await loadUsageReport(req.query);
+    res.json({ from: range.from, to: range.to, ...report });
+  } catch (error) {
+    console.error('Error building usage analytics:', error);
+    res.status(500).json({ error: 'Error loading usage analytics' });
+  }
+});
+
+// Files touched by tool calls across all conversations (from the history index):
+//   ?q=TEXT   - only paths containing TEXT
+//   ?path=P   - the history of one file: every conversation and message that touched it
+async function loadFiles(query) {
+  const threads = await readHistoryIndex();
+  const filePath = typeof query.path === 'string' ? query.path : '';
+  const search = typeof query.q === 'string' ? query.q : '';
+  return filePath
+    ? { path: filePath, history: fileHistory(threads, filePath) }
+    : { query: search, files: listFiles(threads, { query: search }) };
+}
+
+app.get('/files', async (req, res) => {
+  try {
+    res.render('files', { ...(await loadFiles(req.query)), moment });
+  } catch (error) {
+    console.error('Error loading files:', error);
+    res.status(500).send('Error loading files');
+  }
+});
+
+app.get('/api/files', async (req, res) => {
+  try {
+    res.json(await loadFiles(req.query));
+  } catch (error) {
+    console.error('Error loading files:', error);
+    res.status(500).json({ error: 'Error loading files' });
+  }
+});
+
 // Helper function to extract full conversation
 async function getFullConversation(projectDir, chatId) {
   const filePath = path.join(CLAUDE_BASE_PATH, projectDir, `${chatId}.jsonl`);
-  const content = await fs.readFile(filePath, 'utf-8');
-  const lines = content.split('\n').filter(line => line.trim());
-  
-  const messages = [];
-  
-  for (const line of lines) {
-    try {
-      const entry = JSON.parse(line);
-      
-      if (entry.type === 'user' && entry.message && entry.message.role === 'user') {
-        messages.push({
-          role: 'user',
-          content: entry.message.content || ''
-        });
-      } else if (entry.type === 'assistant' && entry.message && entry.message.role === 'assistant') {
-        let textContent = '';
-        if (Array.isArray(entry.message.content)) {
-          entry.message.content.forEach(item => {
-            if (item.type === 'text') {
-              textContent += item.text + '\n';
-            }
-          });
-        } else if (typeof entry.message.content === 'string') {
-          textContent = entry.message.content;
-        }
-        
-        if (textContent.trim()) {
-          messages.push({
-            role: 'assistant',
-            content: textContent.trim()
-          });
-        }
-      }
-    } catch (e) {
-      continue;
-    }
-  }
-  
-  return messages;
+  const conversation = await readConversation(filePath);
+
+  return getTranscript(conversation)
+    .map(message => ({
+      role: message.role,
+      content: messageText(message)
+    }));
 }
 
 // Helper function to analyze a single chat